@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+/**
+ * Generate kaleidoscope designs headless, without a browser.
+ *
+ * Usage: node cli.js [--count 10] [--seed 123] [--out designs] [--format svg|json] [config options]
+ *
+ * Designs use the seeds seed, seed + 1, ... (a random start when --seed is missing),
+ * so each one has the same strokes and colors as the sketch opened with ?seed=<seed>
+ * and the same settings. Only those strokes are rendered, as plain round-capped lines
+ * on a flat gray disc: the vinyl's grooves, sheen, label and spindle hole and the
+ * brush styles are not.
+ * Every KaleidoscopeCore config key can be given in kebab-case, e.g.
+ *   --drawer flowField --frames 900 --symmetry 8 --symmetry-mode spiral
+ *   --color-mode radial --stroke-weight 6 --palette 232327,A7A5A3,E5E5E3
+ * --format svg writes one SVG per design, --format json the recorded segments.
+ * A manifest.json listing every design and its config is written next to them.
+ */
+const fs = require("fs");
+const path = require("path");
+const KaleidoscopeCore = require("./core.js");
+
+// Parse "--key value" pairs into an object with camelCase keys
+function parseArgs(argv) {
+	let args = {};
+	for (let i = 0; i < argv.length; i++) {
+		let match = /^--(.+)$/.exec(argv[i]);
+		if (!match) throw new Error(`Unexpected argument "${argv[i]}"`);
+		let key = match[1].replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+		let value = argv[i + 1];
+		if (value === undefined || value.startsWith("--")) {
+			throw new Error(`Missing value for --${match[1]}`);
+		}
+		args[key] = value;
+		i++;
+	}
+	return args;
+}
+
+// Config overrides from the arguments: numbers stay numbers, palette is a hex list
+function configFromArgs(args) {
+	let config = {};
+	for (let key in KaleidoscopeCore.DEFAULT_CONFIG) {
+		if (args[key] === undefined) continue;
+		let fallback = KaleidoscopeCore.DEFAULT_CONFIG[key];
+		if (key === "palette") {
+			config.palette = args.palette.split(",").map((hex) => "#" + hex.replace(/^#/, ""));
+		} else if (key === "drawerOptions") {
+			config.drawerOptions = JSON.parse(args.drawerOptions);
+		} else if (typeof fallback === "number") {
+			let value = parseFloat(args[key]);
+			if (isNaN(value)) throw new Error(`--${key} must be a number`);
+			config[key] = value;
+		} else {
+			config[key] = args[key];
+		}
+	}
+	return config;
+}
+
+function main() {
+	let args = parseArgs(process.argv.slice(2));
+	let count = Number(args.count || "1");
+	if (!Number.isInteger(count) || count < 1) throw new Error("--count must be a positive integer");
+	let firstSeed = args.seed !== undefined ? Number(args.seed) : Math.floor(Math.random() * 1000000000);
+	if (!Number.isInteger(firstSeed)) throw new Error("--seed must be an integer");
+	let outDir = args.out || "designs";
+	let format = args.format || "svg";
+	if (format !== "svg" && format !== "json") throw new Error('--format must be "svg" or "json"');
+	let overrides = configFromArgs(args);
+	if (overrides.symmetry !== undefined && overrides.symmetry < 1) throw new Error("--symmetry must be at least 1");
+
+	fs.mkdirSync(outDir, { recursive: true });
+	let designs = [];
+	for (let i = 0; i < count; i++) {
+		let seed = firstSeed + i;
+		let file = `kaleidoscope-${seed}.${format}`;
+		let config = { ...overrides, seed: seed };
+		let segmentCount;
+		if (format === "svg") {
+			let renderer = new KaleidoscopeCore.SvgRenderer();
+			fs.writeFileSync(path.join(outDir, file), KaleidoscopeCore.generate(config, renderer));
+			segmentCount = renderer.count;
+		} else {
+			let design = KaleidoscopeCore.generate(config, new KaleidoscopeCore.SegmentRecorder());
+			fs.writeFileSync(path.join(outDir, file), JSON.stringify(design));
+			segmentCount = design.segments.length;
+		}
+		designs.push({
+			seed: seed,
+			file: file,
+			segments: segmentCount,
+			config: KaleidoscopeCore.resolveConfig(config),
+		});
+		console.log(`${file}: ${segmentCount} segments`);
+	}
+
+	let manifest = { generated: new Date().toISOString(), format: format, designs: designs };
+	fs.writeFileSync(path.join(outDir, "manifest.json"), JSON.stringify(manifest, null, 2));
+	console.log(`Wrote ${count} designs and manifest.json to ${outDir}`);
+}
+
+try {
+	main();
+} catch (err) {
+	console.error(err.message);
+	process.exit(1);
+}
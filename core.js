@@ -0,0 +1,1213 @@
+/**
+ * Kaleidoscope core
+ * The pattern geometry, symmetry and color math of the kaleidoscope, free of
+ * p5 globals and the DOM, so the same drawers run in the sketch and headless
+ * in Node (see cli.js).
+ *
+ * A pattern reads everything it used to take from globals (random(), noise(),
+ * drawRadius, symmetry, color mode) from an env object, and hands each segment
+ * it draws to an emit callback. The sketch passes an env backed by p5 and its UI;
+ * generate() builds one from a plain config object and feeds the segments to a
+ * renderer ({ begin(info), segment(seg), end() }): SegmentRecorder, SvgRenderer or CanvasRenderer.
+ *
+ * Loaded as a plain script in the browser (global KaleidoscopeCore)
+ * and with require() in Node.
+ */
+(function (root, factory) {
+	if (typeof module === "object" && module.exports) {
+		module.exports = factory();
+	} else {
+		root.KaleidoscopeCore = factory();
+	}
+})(typeof self !== "undefined" ? self : this, function () {
+	"use strict";
+
+	// --- Angles ---
+	// Angles are in degrees throughout, like the sketch's angleMode(DEGREES)
+	const DEG = Math.PI / 180;
+	let sinDeg = (a) => Math.sin(a * DEG);
+	let cosDeg = (a) => Math.cos(a * DEG);
+	let atan2Deg = (y, x) => Math.atan2(y, x) / DEG;
+	let constrain = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+	// --- Random Numbers ---
+
+	// Linear congruential generator with the constants p5 uses for randomSeed()
+	function createLcg(seed) {
+		const m = 4294967296;
+		const a = 1664525;
+		const c = 1013904223;
+		let z = seed >>> 0;
+		return () => {
+			z = (a * z + c) % m;
+			return z / m;
+		};
+	}
+
+	/**
+	 * Seeded random() and noise() with the same sequences as p5's
+	 * randomSeed(seed) / noiseSeed(seed), so a seed gives the same design
+	 * in Node as in the browser.
+	 */
+	function createRandom(seed) {
+		let rand = createLcg(seed);
+
+		// random() / random(max) / random(min, max) / random(array), as in p5
+		let random = (min, max) => {
+			let r = rand();
+			if (min === undefined) return r;
+			if (max === undefined) {
+				if (Array.isArray(min)) return min[Math.floor(r * min.length)];
+				return r * min;
+			}
+			if (min > max) [min, max] = [max, min];
+			return r * (max - min) + min;
+		};
+
+		// Perlin noise table, filled by its own generator as noiseSeed() does
+		const YWRAPB = 4;
+		const YWRAP = 1 << YWRAPB;
+		const ZWRAPB = 8;
+		const ZWRAP = 1 << ZWRAPB;
+		const SIZE = 4095;
+		const OCTAVES = 4;
+		const FALLOFF = 0.5;
+		let noiseRand = createLcg(seed);
+		let perlin = new Array(SIZE + 1);
+		for (let i = 0; i <= SIZE; i++) perlin[i] = noiseRand();
+		let scaledCosine = (i) => 0.5 * (1.0 - Math.cos(i * Math.PI));
+
+		let noise = (x, y = 0, z = 0) => {
+			x = Math.abs(x);
+			y = Math.abs(y);
+			z = Math.abs(z);
+			let xi = Math.floor(x);
+			let yi = Math.floor(y);
+			let zi = Math.floor(z);
+			let xf = x - xi;
+			let yf = y - yi;
+			let zf = z - zi;
+			let r = 0;
+			let ampl = 0.5;
+
+			for (let o = 0; o < OCTAVES; o++) {
+				let of = xi + (yi << YWRAPB) + (zi << ZWRAPB);
+				let rxf = scaledCosine(xf);
+				let ryf = scaledCosine(yf);
+
+				let n1 = perlin[of & SIZE];
+				n1 += rxf * (perlin[(of + 1) & SIZE] - n1);
+				let n2 = perlin[(of + YWRAP) & SIZE];
+				n2 += rxf * (perlin[(of + YWRAP + 1) & SIZE] - n2);
+				n1 += ryf * (n2 - n1);
+
+				of += ZWRAP;
+				n2 = perlin[of & SIZE];
+				n2 += rxf * (perlin[(of + 1) & SIZE] - n2);
+				let n3 = perlin[(of + YWRAP) & SIZE];
+				n3 += rxf * (perlin[(of + YWRAP + 1) & SIZE] - n3);
+				n2 += ryf * (n3 - n2);
+
+				n1 += scaledCosine(zf) * (n2 - n1);
+				r += n1 * ampl;
+				ampl *= FALLOFF;
+
+				xi <<= 1;
+				xf *= 2;
+				yi <<= 1;
+				yf *= 2;
+				zi <<= 1;
+				zf *= 2;
+				if (xf >= 1.0) {
+					xi++;
+					xf--;
+				}
+				if (yf >= 1.0) {
+					yi++;
+					yf--;
+				}
+				if (zf >= 1.0) {
+					zi++;
+					zf--;
+				}
+			}
+			return r;
+		};
+
+		return { random, noise };
+	}
+
+	// --- Config ---
+
+	// The sketch's default palette
+	const DEFAULT_PALETTE = [
+		"#232327ff", // raisin-black
+		"#A7A5A3ff", // silver
+		"#E5E5E3ff", // platinum
+		"#131213ff", // night
+		"#32384Dff", // space-cadet
+		"#959494ff", // battleship-gray
+	];
+
+	// Canvas size that pixel-based settings (stroke weight, noise scale) are given at.
+	// Other sizes scale them, so a design looks the same at any resolution.
+	const REFERENCE_SIZE = 4000;
+
+	// Defaults match the sketch's sliders and URL parameters
+	const DEFAULT_CONFIG = {
+		seed: 0,
+		drawer: "sinusoidal", // "sinusoidal", "flowField" or "spirograph"
+		drawerOptions: {}, // Extra options for the pattern (waves, particles, gears...)
+		frames: 600, // Frames to run the drawer for
+		size: 4000, // Canvas width/height in pixels
+		vinyl: 0.85, // Disc diameter as a fraction of the canvas
+		symmetry: 12,
+		symmetryMode: "dihedral",
+		mirrorAxis: 90,
+		spiralScale: 0.9,
+		spiralTwist: 10,
+		radialRings: 3,
+		colorMode: "time",
+		colorRate: 0.5,
+		strokeWeight: 12, // Pixels at REFERENCE_SIZE
+		drawSpeed: 5,
+		palette: DEFAULT_PALETTE,
+	};
+
+	/**
+	 * A complete config: `overrides` on top of DEFAULT_CONFIG,
+	 * plus the derived drawRadius.
+	 */
+	function resolveConfig(overrides = {}) {
+		let config = { ...DEFAULT_CONFIG };
+		for (let key in overrides) {
+			if (overrides[key] !== undefined) config[key] = overrides[key];
+		}
+		config.drawRadius = (config.size * config.vinyl) / 2;
+		return config;
+	}
+
+	/**
+	 * The env a pattern runs in, fixed from a resolved config:
+	 * { random, noise, drawRadius, scale, symmetry, colorMode },
+	 * where scale is the canvas size relative to REFERENCE_SIZE.
+	 */
+	function createEnv(config) {
+		let { random, noise } = createRandom(config.seed);
+		return {
+			random,
+			noise,
+			drawRadius: config.drawRadius,
+			scale: config.size / REFERENCE_SIZE,
+			symmetry: config.symmetry,
+			colorMode: config.colorMode,
+		};
+	}
+
+	// --- Symmetry ---
+
+	/**
+	 * Symmetry spec for a config: { key, mode, count, axis, scale, twist, rings, transforms },
+	 * the same shape as the sketch's getSymmetrySpec().
+	 */
+	function symmetrySpec(config) {
+		let spec = {
+			key: [
+				config.symmetryMode,
+				config.symmetry,
+				config.mirrorAxis,
+				config.spiralScale,
+				config.spiralTwist,
+				config.radialRings,
+			].join("/"),
+			mode: config.symmetryMode,
+			count: config.symmetry,
+			axis: config.mirrorAxis,
+			scale: config.spiralScale,
+			twist: config.spiralTwist,
+			rings: config.radialRings,
+		};
+		spec.transforms = symmetryTransforms(spec);
+		return spec;
+	}
+
+	/**
+	 * The copies of a segment for a symmetry spec, as linear maps [a, b, c, d]
+	 * around the center (x' = a*x + c*y, y' = b*x + d*y, like canvas transform()).
+	 */
+	function symmetryTransforms(spec) {
+		// Rotation by `deg` degrees combined with a uniform scale
+		let rotation = (deg, s = 1) => [
+			s * cosDeg(deg),
+			s * sinDeg(deg),
+			-s * sinDeg(deg),
+			s * cosDeg(deg),
+		];
+		let segAngle = 360 / spec.count;
+		let transforms = [];
+
+		switch (spec.mode) {
+			case "rotation":
+				for (let i = 0; i < spec.count; i++) {
+					transforms.push(rotation(segAngle * (i + 1)));
+				}
+				break;
+			case "mirror": {
+				// Reflection across the line through the center at the axis angle
+				let r = spec.axis * 2;
+				transforms.push([1, 0, 0, 1]);
+				transforms.push([cosDeg(r), sinDeg(r), sinDeg(r), -cosDeg(r)]);
+				break;
+			}
+			case "spiral":
+				for (let i = 0; i < spec.count; i++) {
+					transforms.push(rotation((segAngle + spec.twist) * i, Math.pow(spec.scale, i)));
+				}
+				break;
+			case "radial":
+				for (let ring = 0; ring < spec.rings; ring++) {
+					let s = (spec.rings - ring) / spec.rings;
+					for (let i = 0; i < spec.count; i++) {
+						transforms.push(rotation(segAngle * (i + 1), s));
+					}
+				}
+				break;
+			default:
+				// Dihedral: each rotation followed by the rotated reflection across the x axis
+				for (let i = 0; i < spec.count; i++) {
+					let [a, b, c, d] = rotation(segAngle * (i + 1));
+					transforms.push([a, b, c, d]);
+					transforms.push([a, b, -c, -d]);
+				}
+		}
+		return transforms;
+	}
+
+	// --- Colors ---
+	// Colors are [r, g, b, a] levels (0-255), like p5.Color.levels.
+	// Blending follows p5's lerpColor() in HSB mode.
+
+	// Parse "#rgb", "#rgba", "#rrggbb" or "#rrggbbaa" into levels
+	function parseColor(hex) {
+		let digits = hex.replace(/^#/, "");
+		if (digits.length <= 4) {
+			digits = digits
+				.split("")
+				.map((d) => d + d)
+				.join("");
+		}
+		if (digits.length === 6) digits += "ff";
+		let levels = [];
+		for (let i = 0; i < 8; i += 2) levels.push(parseInt(digits.slice(i, i + 2), 16));
+		return levels;
+	}
+
+	function parsePalette(hexes) {
+		return hexes.map(parseColor);
+	}
+
+	// Levels as "#rrggbb" (alpha dropped)
+	function toHex(levels) {
+		return (
+			"#" +
+			levels
+				.slice(0, 3)
+				.map((v) => v.toString(16).padStart(2, "0"))
+				.join("")
+		);
+	}
+
+	// Levels to normalized [hue, saturation, brightness, alpha], all 0-1
+	function levelsToHsba(levels) {
+		let [r, g, b, a] = levels.map((v) => v / 255);
+		let val = Math.max(r, g, b);
+		let chroma = val - Math.min(r, g, b);
+		let hue = 0;
+		let sat = 0;
+		if (chroma !== 0) {
+			sat = chroma / val;
+			if (r === val) hue = (g - b) / chroma;
+			else if (g === val) hue = 2 + (b - r) / chroma;
+			else hue = 4 + (r - g) / chroma;
+			if (hue < 0) hue += 6;
+			else if (hue >= 6) hue -= 6;
+		}
+		return [hue / 6, sat, val, a];
+	}
+
+	// Normalized [hue, saturation, brightness, alpha] to levels
+	function hsbaToLevels(hsba) {
+		let [hue, sat, val, a] = hsba;
+		let rgb;
+		if (sat === 0) {
+			rgb = [val, val, val];
+		} else {
+			hue *= 6;
+			let sector = Math.floor(hue);
+			let tint1 = val * (1 - sat);
+			let tint2 = val * (1 - sat * (hue - sector));
+			let tint3 = val * (1 - sat * (1 + sector - hue));
+			switch (sector) {
+				case 1:
+					rgb = [tint2, val, tint1];
+					break;
+				case 2:
+					rgb = [tint1, val, tint3];
+					break;
+				case 3:
+					rgb = [tint1, tint2, val];
+					break;
+				case 4:
+					rgb = [tint3, tint1, val];
+					break;
+				case 5:
+					rgb = [val, tint1, tint2];
+					break;
+				default:
+					rgb = [val, tint3, tint1];
+			}
+		}
+		return rgb.concat(a).map((v) => Math.round(v * 255));
+	}
+
+	// Color from hue (0-360), saturation and brightness (0-100)
+	function hsbColor(h, s, b) {
+		return hsbaToLevels([(((h % 360) + 360) % 360) / 360, s / 100, b / 100, 1]);
+	}
+
+	// Blend two colors in HSB, taking the shorter way round the hue circle
+	function lerpColor(c1, c2, amt) {
+		amt = constrain(amt, 0, 1);
+		let from = levelsToHsba(c1);
+		let to = levelsToHsba(c2);
+		if (Math.abs(from[0] - to[0]) > 0.5) {
+			if (from[0] > to[0]) to[0] += 1;
+			else from[0] += 1;
+		}
+		let hsba = from.map((v, i) => v + (to[i] - v) * amt);
+		if (hsba[0] >= 1) hsba[0] -= 1;
+		return hsbaToLevels(hsba);
+	}
+
+	/**
+	 * Blend through a palette of colors. t is measured in palette steps
+	 * and wraps around, so t = 1.5 is halfway between the 2nd and 3rd color.
+	 */
+	function paletteLerp(palette, t) {
+		// Wrap the value so it stays within the palette's bounds
+		let wrapped = ((t % palette.length) + palette.length) % palette.length;
+
+		// Find the two colors to blend between
+		let color1Index = Math.floor(wrapped);
+		let color2Index = (color1Index + 1) % palette.length; // Wrap around
+
+		// Blend by the fractional part of t
+		return lerpColor(palette[color1Index], palette[color2Index], wrapped - color1Index);
+	}
+
+	/**
+	 * Color of the segment (x1, y1) -> (x2, y2) for env.colorMode:
+	 *   "time"   - cycle through the palette by t (the original behavior)
+	 *   "radial" - bands by distance from the center
+	 *   "angle"  - position within the symmetry wedge
+	 *   "speed"  - stroke speed (segment length), slow to fast
+	 *   "hue"    - continuous HSB hue cycling, ignoring the palette
+	 * t is the drawer's color position (colorInterpolation plus any offset).
+	 */
+	function segmentColor(env, palette, t, x1, y1, x2, y2) {
+		let midX = (x1 + x2) / 2;
+		let midY = (y1 + y2) / 2;
+
+		switch (env.colorMode) {
+			case "radial": {
+				let d = constrain(Math.hypot(midX, midY) / env.drawRadius, 0, 1);
+				return palette[Math.min(Math.floor(d * palette.length), palette.length - 1)];
+			}
+			case "angle": {
+				let wedge = 360 / env.symmetry;
+				let a = (atan2Deg(midY, midX) + 360) % wedge;
+				return paletteLerp(palette, (a / wedge) * (palette.length - 1));
+			}
+			case "speed": {
+				// A segment of ~2% of the disc radius counts as full speed
+				let speed = Math.hypot(x2 - x1, y2 - y1) / (env.drawRadius * 0.02);
+				return paletteLerp(palette, constrain(speed, 0, 1) * (palette.length - 1));
+			}
+			case "hue":
+				return hsbColor((t * 30) % 360, 80, 95);
+			default:
+				return paletteLerp(palette, t);
+		}
+	}
+
+	// --- Patterns ---
+
+	/**
+	 * Base class of the procedural patterns.
+	 * step(emit) advances one frame and calls emit(trail, x1, y1, x2, y2, color)
+	 * for every segment drawn, where trail identifies the stroke it continues
+	 * (a particle, a pen layer...), coordinates are relative to the center
+	 * and color is a levels array.
+	 */
+	class Pattern {
+		/**
+		 * Options shared by all patterns:
+		 *   - tIncrement: speed, driven by the draw speed slider
+		 *   - palette: array of hex color strings (default DEFAULT_PALETTE)
+		 *   - colorInterpolation, colorInterpolationSpeed: color cycling params
+		 */
+		constructor(opts, env, defaultTIncrement) {
+			this.env = env;
+			this.tIncrement = opts.tIncrement !== undefined ? opts.tIncrement : defaultTIncrement;
+			this.setPalette(opts.palette && opts.palette.length ? opts.palette : DEFAULT_PALETTE);
+			this.colorInterpolation =
+				opts.colorInterpolation !== undefined ? opts.colorInterpolation : 0;
+			this.colorInterpolationSpeed =
+				opts.colorInterpolationSpeed !== undefined ? opts.colorInterpolationSpeed : 0.01;
+		}
+
+		// Switch to a new palette (array of hex strings) without resetting
+		setPalette(hexes) {
+			this.palette = parsePalette(hexes);
+		}
+
+		// Color of a segment at the current color position, shifted by `offset`
+		colorOf(x1, y1, x2, y2, offset = 0) {
+			return segmentColor(this.env, this.palette, this.colorInterpolation + offset, x1, y1, x2, y2);
+		}
+
+		step(emit) {
+			throw new Error("Method 'step()' must be implemented by subclass");
+		}
+
+		// Scale every position and size by `factor` (after the canvas is resized)
+		rescale(factor) {
+			throw new Error("Method 'rescale()' must be implemented by subclass");
+		}
+	}
+
+	// A single sinusoidal component of a SinusoidalPattern
+	class SinusoidalWave {
+		constructor(radius, freq, phase, phaseInc, mode = "sin") {
+			this.radius = radius;
+			this.freq = freq;
+			this.phase = phase;
+			this.phaseInc = phaseInc;
+			// mode = 'sin' or 'cos' (controls which trig function to use)
+			this.mode = mode;
+		}
+
+		value(t) {
+			if (this.mode === "sin") return sinDeg(t * this.freq + this.phase) * this.radius;
+			return cosDeg(t * this.freq + this.phase) * this.radius;
+		}
+
+		incrementPhase() {
+			this.phase += this.phaseInc;
+		}
+
+		setPhaseInc(v) {
+			this.phaseInc = v;
+		}
+	}
+
+	/**
+	 * Sums of sine/cosine waves on each axis, one continuous stroke.
+	 *
+	 * Options (plus the Pattern ones; tIncrement defaults to 10):
+	 *   - t: starting time (default 0)
+	 *   - xWaves: array of wave configs for x-axis (each has radius, freq, phase?, phaseInc?, mode?)
+	 *   - yWaves: array of wave configs for y-axis (each has radius, freq, phase?, phaseInc?, mode?)
+	 *     A wave may give radiusFraction (fraction of drawRadius) instead of an absolute radius.
+	 *     If only one of xWaves/yWaves is given, the other axis uses the default waves.
+	 *
+	 * Legacy options (r1, r2, f1, f2, r3, r4, f3, f4, phases, phiIncs) still supported for backward compatibility.
+	 * They describe two sin waves on x (r1/f1, r2/f2) and two cos waves on y (r3/f3, r4/f4);
+	 * phases and phiIncs are arrays indexed in that same order.
+	 *
+	 * radiusScale and freqScale (default 1) scale the output radius and
+	 * the wave frequencies live, e.g. from audio.
+	 */
+	class SinusoidalPattern extends Pattern {
+		constructor(opts, env) {
+			super(opts, env, 10);
+			this.pos = { x: 0, y: 0 };
+			this.prevPos = { x: 0, y: 0 };
+			this.t = opts.t !== undefined ? opts.t : 0; // Our time variable
+			this.radiusScale = 1;
+			this.freqScale = 1;
+
+			// Explicit wave arrays win, then legacy keys, then the default waves
+			let waveConfigs = SinusoidalPattern.defaultWaveConfigs();
+			if (opts.xWaves || opts.yWaves) {
+				if (opts.xWaves) waveConfigs.xWaves = opts.xWaves;
+				if (opts.yWaves) waveConfigs.yWaves = opts.yWaves;
+			} else if (SinusoidalPattern.LEGACY_KEYS.some((k) => opts[k] !== undefined)) {
+				waveConfigs = SinusoidalPattern.legacyWaveConfigs(opts);
+			}
+			this.xWaves = this.createWaves(waveConfigs.xWaves);
+			this.yWaves = this.createWaves(waveConfigs.yWaves);
+		}
+
+		// Option keys of the old fixed two-waves-per-axis constructor
+		static LEGACY_KEYS = ["r1", "r2", "r3", "r4", "f1", "f2", "f3", "f4", "phases", "phiIncs"];
+
+		// The default waves, with radii as fractions of drawRadius
+		static defaultWaveConfigs() {
+			return {
+				xWaves: [
+					{ radiusFraction: 1.0, freq: 10.0, phaseInc: 0.1, mode: "sin" },
+					{ radiusFraction: 0.4, freq: 5.0, mode: "sin" },
+				],
+				yWaves: [
+					{ radiusFraction: 0.4, freq: 6.0, mode: "cos" },
+					{ radiusFraction: 0.4, freq: 1.0, mode: "cos" },
+				],
+			};
+		}
+
+		// Translate legacy r1/f1/... options into wave config arrays
+		static legacyWaveConfigs(opts) {
+			let phases = opts.phases || [];
+			let phiIncs = opts.phiIncs || [];
+			let wave = (r, f, i, mode) => ({
+				radius: r,
+				freq: f,
+				phase: phases[i],
+				phaseInc: phiIncs[i],
+				mode: mode,
+			});
+			return {
+				xWaves: [wave(opts.r1, opts.f1, 0, "sin"), wave(opts.r2, opts.f2, 1, "sin")],
+				yWaves: [wave(opts.r3, opts.f3, 2, "cos"), wave(opts.r4, opts.f4, 3, "cos")],
+			};
+		}
+
+		/**
+		 * Create wave instances from a config array. Each config object has
+		 * { radius | radiusFraction, freq, phase?, phaseInc?, mode? };
+		 * a missing phase or phaseInc is picked with env.random().
+		 */
+		createWaves(configs) {
+			let { random, drawRadius } = this.env;
+			return configs.map((cfg) => {
+				let radius = drawRadius * 0.4;
+				if (cfg.radius !== undefined) radius = cfg.radius;
+				else if (cfg.radiusFraction !== undefined) radius = cfg.radiusFraction * drawRadius;
+				let freq = cfg.freq !== undefined ? cfg.freq : 1.0;
+				let phase = cfg.phase !== undefined ? cfg.phase : random(0, Math.PI * 2);
+				let phaseInc = cfg.phaseInc !== undefined ? cfg.phaseInc : random(0.0005, 0.005);
+				let mode = cfg.mode !== undefined ? cfg.mode : "sin";
+				return new SinusoidalWave(radius, freq, phase, phaseInc, mode);
+			});
+		}
+
+		// Move to the sum of the waves at the current time, then advance time and phases
+		update() {
+			this.prevPos = { ...this.pos };
+
+			let x = 0;
+			for (let wave of this.xWaves) x += wave.value(this.t);
+			let y = 0;
+			for (let wave of this.yWaves) y += wave.value(this.t);
+			this.pos = { x: x * this.radiusScale, y: y * this.radiusScale };
+
+			this.t += this.tIncrement;
+
+			// Increment individual wave phases so things slowly drift
+			for (let wave of this.xWaves.concat(this.yWaves)) {
+				wave.incrementPhase();
+				// Changing the frequency directly would jump, because t is large.
+				// Instead advance each phase as if the frequency were scaled.
+				wave.phase += this.tIncrement * wave.freq * (this.freqScale - 1);
+			}
+		}
+
+		rescale(factor) {
+			for (let wave of this.xWaves.concat(this.yWaves)) wave.radius *= factor;
+			this.pos = { x: this.pos.x * factor, y: this.pos.y * factor };
+			this.prevPos = { x: this.prevPos.x * factor, y: this.prevPos.y * factor };
+		}
+
+		step(emit) {
+			this.update();
+
+			// Don't draw on the very first frame, just set the prevPos
+			if (this.t <= this.tIncrement) {
+				this.prevPos = { ...this.pos };
+				return;
+			}
+
+			this.colorInterpolation += this.colorInterpolationSpeed;
+			let { pos, prevPos } = this;
+			emit(0, pos.x, pos.y, prevPos.x, prevPos.y, this.colorOf(pos.x, pos.y, prevPos.x, prevPos.y));
+		}
+	}
+
+	/**
+	 * Many particles moving through a Perlin noise() vector field inside drawRadius.
+	 * Particles respawn at a random spot when they leave the disc or get too old.
+	 *
+	 * Options (plus the Pattern ones; tIncrement, the step length multiplier, defaults to 5):
+	 *   - particleCount: number of live particles (default 150)
+	 *   - noiseScale: spatial scale of the noise field, per pixel at REFERENCE_SIZE (default 0.0008)
+	 *   - noiseSpeed: how fast the field evolves per frame (default 0.002)
+	 *   - lifetime: frames before a particle respawns (default 120)
+	 */
+	class FlowFieldPattern extends Pattern {
+		constructor(opts, env) {
+			super(opts, env, 5);
+			this.particleCount = opts.particleCount !== undefined ? opts.particleCount : 150;
+			this.noiseScale = opts.noiseScale !== undefined ? opts.noiseScale : 0.0008;
+			this.noiseSpeed = opts.noiseSpeed !== undefined ? opts.noiseSpeed : 0.002;
+			this.lifetime = opts.lifetime !== undefined ? opts.lifetime : 120;
+			this.noiseZ = 0; // Third noise dimension, advanced every frame
+			this.particles = [];
+		}
+
+		// Create a particle at a random position inside the disc
+		_spawnParticle() {
+			let { random, drawRadius } = this.env;
+			let r = drawRadius * Math.sqrt(random());
+			let a = random(360);
+			return {
+				pos: { x: r * cosDeg(a), y: r * sinDeg(a) },
+				prevPos: { x: r * cosDeg(a), y: r * sinDeg(a) },
+				age: 0,
+				// Stagger lifetimes so particles don't all respawn together
+				lifetime: this.lifetime * random(0.5, 1.5),
+			};
+		}
+
+		// Grow or shrink the particle list to match particleCount
+		_syncParticleCount() {
+			let count = Math.max(0, Math.floor(this.particleCount));
+			while (this.particles.length < count) {
+				this.particles.push(this._spawnParticle());
+			}
+			if (this.particles.length > count) this.particles.length = count;
+		}
+
+		// Move every particle one step along the field
+		update() {
+			let { noise, drawRadius, scale } = this.env;
+			this._syncParticleCount();
+
+			// Step length scales with the disc so the look is independent of vinyl size
+			let stepLength = (this.tIncrement * drawRadius) / 500;
+			for (let i = 0; i < this.particles.length; i++) {
+				let p = this.particles[i];
+				p.prevPos = { ...p.pos };
+
+				// Sample the field in reference-size pixels so it doesn't change with the resolution
+				let fieldAngle =
+					noise(
+						(p.pos.x / scale) * this.noiseScale + 1000,
+						(p.pos.y / scale) * this.noiseScale + 1000,
+						this.noiseZ
+					) * 720;
+				p.pos.x += cosDeg(fieldAngle) * stepLength;
+				p.pos.y += sinDeg(fieldAngle) * stepLength;
+				p.age++;
+
+				if (p.age > p.lifetime || p.pos.x * p.pos.x + p.pos.y * p.pos.y > drawRadius * drawRadius) {
+					this.particles[i] = this._spawnParticle();
+				}
+			}
+
+			this.noiseZ += this.noiseSpeed;
+		}
+
+		rescale(factor) {
+			for (let p of this.particles) {
+				p.pos = { x: p.pos.x * factor, y: p.pos.y * factor };
+				p.prevPos = { x: p.prevPos.x * factor, y: p.prevPos.y * factor };
+			}
+		}
+
+		step(emit) {
+			// Remember which particles existed before the update;
+			// respawned ones are replaced objects and must not draw a jump
+			let before = new Set(this.particles);
+			this.update();
+
+			// Advance the color once per frame; each particle maps it by its own position
+			this.colorInterpolation += this.colorInterpolationSpeed;
+
+			// Each particle slot is its own stroke
+			this.particles.forEach((p, i) => {
+				if (!before.has(p)) return;
+				emit(
+					i,
+					p.pos.x,
+					p.pos.y,
+					p.prevPos.x,
+					p.prevPos.y,
+					this.colorOf(p.pos.x, p.pos.y, p.prevPos.x, p.prevPos.y)
+				);
+			});
+		}
+	}
+
+	/**
+	 * Hypotrochoids (gear rolling inside a fixed ring) and epitrochoids
+	 * (gear rolling outside it). Sizes are in gear teeth and the curve is scaled
+	 * to fit drawRadius.
+	 * With integer teeth the curve closes after 360 * r / gcd(R, r) degrees;
+	 * when every layer has closed the pattern stops (finished) or moves on to new gears.
+	 *
+	 * Options (plus the Pattern ones; tIncrement, degrees per frame, defaults to 5):
+	 *   - ringTeeth: fixed ring size R (default 96)
+	 *   - gearTeeth: rolling gear size r (default 52)
+	 *   - penOffset: pen distance from the gear center, as a fraction of r (default 0.8)
+	 *   - type: "hypo" or "epi" (default "hypo")
+	 *   - layerCount: gear layers drawn together; extra layers use random gears (default 1)
+	 *   - onClose: "stop" or "next" (advance to a new gear set) when all layers close (default "stop")
+	 */
+	class SpirographPattern extends Pattern {
+		constructor(opts, env) {
+			super(opts, env, 5);
+			this.ringTeeth = Math.round(opts.ringTeeth !== undefined ? opts.ringTeeth : 96);
+			this.gearTeeth = Math.round(opts.gearTeeth !== undefined ? opts.gearTeeth : 52);
+			this.penOffset = opts.penOffset !== undefined ? opts.penOffset : 0.8;
+			this.type = opts.type === "epi" ? "epi" : "hypo";
+			this.layerCount = Math.max(1, Math.round(opts.layerCount || 1));
+			this.onClose = opts.onClose === "next" ? "next" : "stop";
+			this.maxStepDegrees = 1; // Longer steps are split so curves stay smooth
+			this.finished = false;
+
+			this._startGearSet(this.gearTeeth, this.penOffset);
+		}
+
+		static gcd(a, b) {
+			while (b) [a, b] = [b, a % b];
+			return a;
+		}
+
+		// Degrees of rotation after which a curve with these teeth closes
+		static closingAngle(ringTeeth, gearTeeth) {
+			return (360 * gearTeeth) / SpirographPattern.gcd(ringTeeth, gearTeeth);
+		}
+
+		// Build the layers for one gear set: the given gear plus random extra gears
+		_startGearSet(gearTeeth, penOffset) {
+			let { random, drawRadius } = this.env;
+			// A hypotrochoid gear must fit inside the ring
+			let maxGear = this.type === "hypo" ? this.ringTeeth - 1 : this.ringTeeth * 2;
+			let layerGears = [{ r: constrain(gearTeeth, 2, maxGear), pen: penOffset }];
+			for (let i = 1; i < this.layerCount; i++) {
+				layerGears.push({
+					r: Math.floor(random(this.ringTeeth * 0.15, this.ringTeeth * 0.85)),
+					pen: random(0.3, 1.2),
+				});
+			}
+
+			this.layers = layerGears.map((g, i) => ({
+				r: g.r,
+				d: g.pen * g.r,
+				theta: 0,
+				closeAngle: SpirographPattern.closingAngle(this.ringTeeth, g.r),
+				prevPos: null,
+				colorOffset: i, // Each layer starts on its own palette color
+			}));
+
+			// One common scale keeps the layers' sizes relative to the same ring
+			let maxExtent = Math.max(...this.layers.map((l) => this._extent(l)));
+			this.scale = (drawRadius * 0.95) / maxExtent;
+		}
+
+		// Largest distance from the center the pen can reach
+		_extent(layer) {
+			let R = this.ringTeeth;
+			return this.type === "hypo" ? Math.abs(R - layer.r) + layer.d : R + layer.r + layer.d;
+		}
+
+		// Pen position at rotation theta (degrees), in canvas units
+		_penPosition(layer, theta) {
+			let R = this.ringTeeth;
+			let r = layer.r;
+			let x, y;
+			if (this.type === "hypo") {
+				let k = (R - r) / r;
+				x = (R - r) * cosDeg(theta) + layer.d * cosDeg(k * theta);
+				y = (R - r) * sinDeg(theta) - layer.d * sinDeg(k * theta);
+			} else {
+				let k = (R + r) / r;
+				x = (R + r) * cosDeg(theta) - layer.d * cosDeg(k * theta);
+				y = (R + r) * sinDeg(theta) - layer.d * sinDeg(k * theta);
+			}
+			return { x: x * this.scale, y: y * this.scale };
+		}
+
+		// True once every layer has traced its full closed curve
+		isClosed() {
+			return this.layers.every((l) => l.theta >= l.closeAngle);
+		}
+
+		// Stop, or move on to a new random gear set, once all layers are closed
+		update() {
+			if (!this.isClosed()) return;
+			if (this.onClose === "next") {
+				let { random } = this.env;
+				this._startGearSet(
+					Math.floor(random(this.ringTeeth * 0.15, this.ringTeeth * 0.85)),
+					random(0.3, 1.2)
+				);
+			} else {
+				this.finished = true;
+			}
+		}
+
+		rescale(factor) {
+			this.scale *= factor;
+			for (let layer of this.layers) {
+				if (layer.prevPos) layer.prevPos = { x: layer.prevPos.x * factor, y: layer.prevPos.y * factor };
+			}
+		}
+
+		step(emit) {
+			if (this.finished) return;
+
+			// Advance the color once per frame; each layer is offset by its index
+			this.colorInterpolation += this.colorInterpolationSpeed;
+
+			this.layers.forEach((layer, index) => {
+				if (layer.theta >= layer.closeAngle) return;
+
+				if (!layer.prevPos) layer.prevPos = this._penPosition(layer, layer.theta);
+
+				// Advance by tIncrement degrees (never past the closing angle) in small steps
+				let target = Math.min(layer.theta + this.tIncrement, layer.closeAngle);
+				while (layer.theta < target) {
+					layer.theta = Math.min(layer.theta + this.maxStepDegrees, target);
+					let pos = this._penPosition(layer, layer.theta);
+					let prev = layer.prevPos;
+					// Each pen layer is its own stroke
+					emit(index, pos.x, pos.y, prev.x, prev.y, this.colorOf(pos.x, pos.y, prev.x, prev.y, layer.colorOffset));
+					layer.prevPos = pos;
+				}
+			});
+
+			this.update();
+		}
+	}
+
+	// Pattern classes by config.drawer name
+	const PATTERNS = {
+		sinusoidal: SinusoidalPattern,
+		flowField: FlowFieldPattern,
+		spirograph: SpirographPattern,
+	};
+
+	// --- Segment Runs ---
+
+	/**
+	 * Merges a stream of segments into runs of connected segments that look the same,
+	 * so vector output can draw each run as one polyline.
+	 * Drawers emit segments as (current -> previous), so a segment continues the run
+	 * when its (x2, y2) is the run's last point. `style(seg)` returns the key segments
+	 * must share to be merged, or null for items that always stand alone (brush marks).
+	 * Each finished run { segment, key, points } goes to onRun; `segment` is its first one.
+	 */
+	class RunMerger {
+		constructor(style, onRun) {
+			this.style = style;
+			this.onRun = onRun;
+			this.run = null;
+		}
+
+		add(seg) {
+			let key = this.style(seg);
+			let run = this.run;
+			if (key !== null && run && run.key === key) {
+				let last = run.points[run.points.length - 1];
+				if (last.x === seg.x2 && last.y === seg.y2) {
+					run.points.push({ x: seg.x1, y: seg.y1 });
+					return;
+				}
+			}
+			this.flush();
+			this.run = {
+				segment: seg,
+				key: key,
+				points: [
+					{ x: seg.x2, y: seg.y2 },
+					{ x: seg.x1, y: seg.y1 },
+				],
+			};
+		}
+
+		// Hand over the run in progress
+		flush() {
+			if (this.run) this.onRun(this.run);
+			this.run = null;
+		}
+	}
+
+	// All runs of `segments` (any iterable), in drawing order; see RunMerger
+	function buildRuns(segments, style) {
+		let runs = [];
+		let merger = new RunMerger(style, (run) => runs.push(run));
+		for (let seg of segments) merger.add(seg);
+		merger.flush();
+		return runs;
+	}
+
+	// --- Renderers ---
+
+	// Gray of the sketch's vinyl disc (VinylBackground's discColor 50)
+	const DISC_COLOR = "#808080";
+
+	/**
+	 * Renderer that keeps every segment in memory.
+	 * end() returns { config, background, segments }, with segments as
+	 * { trail, x1, y1, x2, y2, color, weight } relative to the center.
+	 */
+	class SegmentRecorder {
+		begin(info) {
+			this.info = info;
+			this.segments = [];
+		}
+
+		segment(seg) {
+			this.segments.push({
+				trail: seg.trail,
+				x1: seg.x1,
+				y1: seg.y1,
+				x2: seg.x2,
+				y2: seg.y2,
+				color: toHex(seg.color),
+				alpha: seg.color[3] / 255,
+				weight: seg.weight,
+			});
+		}
+
+		end() {
+			return {
+				config: this.info.config,
+				background: toHex(this.info.background),
+				segments: this.segments,
+			};
+		}
+	}
+
+	/**
+	 * Renderer that writes an SVG document: the background, the disc,
+	 * and every segment with its symmetry copies, clipped to the disc.
+	 * end() returns the SVG text.
+	 * The strokes themselves are written by startStrokes(), addSegment() and
+	 * flushStrokes(), which the sketch's SVG export also calls inside its own
+	 * vinyl and layer groups. Connected segments of one color become polylines
+	 * (see RunMerger), and consecutive opaque runs of the same color and weight
+	 * share one <path>, which paints the same as drawing them one after another.
+	 */
+	class SvgRenderer {
+		// Digits kept in path coordinates
+		static PRECISION = 2;
+
+		// A coordinate rounded to PRECISION digits
+		static num(v) {
+			return +v.toFixed(SvgRenderer.PRECISION);
+		}
+
+		begin(info) {
+			let { config, background } = info;
+			let size = config.size;
+			let r = config.drawRadius;
+			this.symmetry = info.symmetry;
+			this.count = 0; // Segments received
+			this.startStrokes([
+				`<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">`,
+				`<defs><clipPath id="disc"><circle cx="0" cy="0" r="${r}"/></clipPath></defs>`,
+				`<rect width="${size}" height="${size}" fill="${toHex(background)}"/>`,
+				`<g transform="translate(${size / 2} ${size / 2})">`,
+				`<circle cx="0" cy="0" r="${r}" fill="${DISC_COLOR}"/>`,
+				`<g clip-path="url(#disc)" fill="none" stroke-linecap="round" stroke-linejoin="round">`,
+			]);
+		}
+
+		segment(seg) {
+			this.addSegment(seg, this.symmetry.transforms);
+			this.count++;
+		}
+
+		end() {
+			this.flushStrokes();
+			this.lines.push("</g>", "</g>", "</svg>");
+			return this.lines.join("\n");
+		}
+
+		// Write strokes into `lines` from now on, with `offset` added to every coordinate
+		startStrokes(lines, offset = 0) {
+			this.lines = lines;
+			this.offset = offset;
+			this.transforms = null; // Symmetry copies of the run being merged
+			this.path = null; // { key, d, seg } of the <path> being filled
+			this.merger = new RunMerger(
+				(seg) => `${toHex(seg.color)}/${seg.color[3]}/${seg.weight}`,
+				(run) => this._addRun(run)
+			);
+		}
+
+		// Add a segment { x1, y1, x2, y2, color: [r, g, b, a], weight }, drawn once
+		// for each symmetry transform [a, b, c, d] (see symmetryTransforms())
+		addSegment(seg, transforms) {
+			if (transforms !== this.transforms) {
+				this.merger.flush();
+				this.transforms = transforms;
+			}
+			this.merger.add(seg);
+		}
+
+		// Write out the strokes added so far, e.g. before other elements go into `lines`
+		flushStrokes() {
+			this.merger.flush();
+			this._closePath();
+		}
+
+		// Path data for every symmetry copy of a run
+		_addRun(run) {
+			let n = SvgRenderer.num;
+			let d = "";
+			for (let [a, b, c, e] of this.transforms) {
+				// Points after the first are relative ("l"), which keeps short segments short
+				let prev = null;
+				for (let pt of run.points) {
+					let x = n(a * pt.x + c * pt.y + this.offset);
+					let y = n(b * pt.x + e * pt.y + this.offset);
+					d += prev ? `l${n(x - prev.x)} ${n(y - prev.y)}` : `M${x} ${y}`;
+					prev = { x, y };
+				}
+			}
+			// Translucent runs keep their own path, so their overlaps still darken
+			let seg = run.segment;
+			if (this.path && this.path.key === run.key && seg.color[3] === 255) {
+				this.path.d += d;
+				return;
+			}
+			this._closePath();
+			this.path = { key: run.key, d: d, seg: seg };
+		}
+
+		_closePath() {
+			if (!this.path) return;
+			let { d, seg } = this.path;
+			let opacity = seg.color[3] < 255 ? ` stroke-opacity="${+(seg.color[3] / 255).toFixed(3)}"` : "";
+			this.lines.push(
+				`<path d="${d}" stroke="${toHex(seg.color)}"${opacity} stroke-width="${seg.weight}"/>`
+			);
+			this.path = null;
+		}
+	}
+
+	/**
+	 * Renderer that draws onto a 2D canvas context of config.size pixels square
+	 * (a browser canvas, or a canvas package in Node): the background, the disc,
+	 * and every segment with its symmetry copies, clipped to the disc.
+	 * end() returns the context.
+	 */
+	class CanvasRenderer {
+		constructor(ctx) {
+			this.ctx = ctx;
+		}
+
+		begin(info) {
+			let { config, background } = info;
+			let ctx = this.ctx;
+			this.symmetry = info.symmetry;
+			ctx.save();
+			ctx.fillStyle = toHex(background);
+			ctx.fillRect(0, 0, config.size, config.size);
+			ctx.translate(config.size / 2, config.size / 2);
+			ctx.fillStyle = DISC_COLOR;
+			ctx.beginPath();
+			ctx.arc(0, 0, config.drawRadius, 0, Math.PI * 2);
+			ctx.fill();
+			ctx.clip();
+			ctx.lineCap = "round";
+		}
+
+		segment(seg) {
+			let ctx = this.ctx;
+			let [r, g, b, a] = seg.color;
+			ctx.strokeStyle = `rgba(${r}, ${g}, ${b}, ${a / 255})`;
+			ctx.lineWidth = seg.weight;
+			ctx.beginPath();
+			for (let [ta, tb, tc, td] of this.symmetry.transforms) {
+				ctx.moveTo(ta * seg.x1 + tc * seg.y1, tb * seg.x1 + td * seg.y1);
+				ctx.lineTo(ta * seg.x2 + tc * seg.y2, tb * seg.x2 + td * seg.y2);
+			}
+			ctx.stroke();
+		}
+
+		end() {
+			this.ctx.restore();
+			return this.ctx;
+		}
+	}
+
+	/**
+	 * Generate one design without a browser: run the configured drawer for
+	 * config.frames frames and pass every segment to `renderer`.
+	 * `overrides` are merged over DEFAULT_CONFIG (see resolveConfig()).
+	 * Returns whatever renderer.end() returns.
+	 */
+	function generate(overrides, renderer) {
+		let config = resolveConfig(overrides);
+		let Pattern = PATTERNS[config.drawer];
+		if (!Pattern) throw new Error(`Unknown drawer "${config.drawer}"`);
+
+		let env = createEnv(config);
+		// The background slot is picked first, as the sketch's VinylBackground does,
+		// so the drawer sees the same random() sequence as in the browser
+		let background = parseColor(config.palette[Math.floor(env.random(config.palette.length))]);
+		let pattern = new Pattern(
+			{
+				...config.drawerOptions,
+				palette: config.palette,
+				tIncrement: config.drawSpeed,
+				colorInterpolationSpeed: config.colorRate,
+			},
+			env
+		);
+		let symmetry = symmetrySpec(config);
+
+		renderer.begin({ config, background, symmetry });
+		for (let frame = 0; frame < config.frames; frame++) {
+			pattern.step((trail, x1, y1, x2, y2, color) =>
+				renderer.segment({ trail, x1, y1, x2, y2, color, weight: config.strokeWeight * env.scale })
+			);
+		}
+		return renderer.end();
+	}
+
+	return {
+		DEFAULT_PALETTE,
+		REFERENCE_SIZE,
+		DEFAULT_CONFIG,
+		createRandom,
+		resolveConfig,
+		createEnv,
+		symmetrySpec,
+		symmetryTransforms,
+		parseColor,
+		parsePalette,
+		toHex,
+		hsbColor,
+		lerpColor,
+		paletteLerp,
+		segmentColor,
+		Pattern,
+		SinusoidalWave,
+		SinusoidalPattern,
+		FlowFieldPattern,
+		SpirographPattern,
+		PATTERNS,
+		RunMerger,
+		buildRuns,
+		SegmentRecorder,
+		SvgRenderer,
+		CanvasRenderer,
+		generate,
+	};
+});
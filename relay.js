@@ -0,0 +1,299 @@
+#!/usr/bin/env node
+/**
+ * Local relay for remote-controlling the sketch, e.g. from a phone during a VJ set.
+ *
+ * Usage: node relay.js [--port 8080]
+ *
+ * Serves the sketch's files over HTTP and relays every WebSocket message a client
+ * sends to all the other clients. Only pages served by the relay itself may connect. Open http://<host>:<port>/?remote for the sketch and
+ * http://<host>:<port>/controller.html on the controlling device.
+ * The JSON messages are described with RemoteControl in sketch.js; the relay
+ * passes them on without looking inside. Only Node's built-in modules are used.
+ */
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const DEFAULT_PORT = 8080;
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11"; // From RFC 6455
+const MAX_MESSAGE_SIZE = 1024 * 1024; // Bytes; larger messages close the connection
+const PING_INTERVAL = 30000; // ms; clients that miss a ping are dropped
+
+const CONTENT_TYPES = {
+	".html": "text/html; charset=utf-8",
+	".js": "text/javascript; charset=utf-8",
+	".css": "text/css; charset=utf-8",
+	".json": "application/json",
+	".png": "image/png",
+	".svg": "image/svg+xml",
+};
+
+// Files served to the network; everything else in this folder (e.g. .git) is not found
+const PUBLIC_FILES = ["index.html", "controller.html", "sketch.js", "core.js", "style.css"];
+const PUBLIC_DIRS = ["libraries"];
+
+// Opcodes of the WebSocket frames the relay handles
+const OPCODE = { continuation: 0x0, text: 0x1, close: 0x8, ping: 0x9, pong: 0xa };
+
+/**
+ * Class: WebSocketClient
+ * One upgraded connection: parses the frames coming in on the socket and
+ * sends unmasked server frames back. Calls onMessage(text) for every complete
+ * text message and onClose() once when the connection ends.
+ */
+class WebSocketClient {
+	constructor(socket, onMessage, onClose) {
+		this.socket = socket;
+		this.onMessage = onMessage;
+		this.onClose = onClose;
+		this.buffer = Buffer.alloc(0); // Received bytes not parsed yet
+		this.fragments = []; // Payloads of a fragmented message so far
+		this.alive = true; // Answered the last ping
+		this.closed = false;
+
+		socket.on("data", (data) => this._receive(data));
+		socket.on("close", () => this._closed());
+	}
+
+	send(text) {
+		this._sendFrame(OPCODE.text, Buffer.from(text, "utf8"));
+	}
+
+	ping() {
+		this._sendFrame(OPCODE.ping, Buffer.alloc(0));
+	}
+
+	close() {
+		this._sendFrame(OPCODE.close, Buffer.alloc(0));
+		this.socket.end();
+	}
+
+	_sendFrame(opcode, payload) {
+		if (this.closed) return;
+		let header;
+		if (payload.length < 126) {
+			header = Buffer.from([0x80 | opcode, payload.length]);
+		} else if (payload.length < 65536) {
+			header = Buffer.alloc(4);
+			header[0] = 0x80 | opcode;
+			header[1] = 126;
+			header.writeUInt16BE(payload.length, 2);
+		} else {
+			header = Buffer.alloc(10);
+			header[0] = 0x80 | opcode;
+			header[1] = 127;
+			header.writeBigUInt64BE(BigInt(payload.length), 2);
+		}
+		this.socket.write(Buffer.concat([header, payload]));
+	}
+
+	// Parse every complete frame in the buffer; a partial one waits for more data
+	_receive(data) {
+		this.buffer = Buffer.concat([this.buffer, data]);
+		while (this.buffer.length >= 2) {
+			let fin = (this.buffer[0] & 0x80) !== 0;
+			let opcode = this.buffer[0] & 0x0f;
+			let masked = (this.buffer[1] & 0x80) !== 0;
+			let length = this.buffer[1] & 0x7f;
+			let offset = 2;
+			if (length === 126) {
+				if (this.buffer.length < 4) return;
+				length = this.buffer.readUInt16BE(2);
+				offset = 4;
+			} else if (length === 127) {
+				if (this.buffer.length < 10) return;
+				length = Number(this.buffer.readBigUInt64BE(2));
+				offset = 10;
+			}
+			// Browsers always mask what they send
+			if (!masked || length > MAX_MESSAGE_SIZE) {
+				this.socket.destroy();
+				return;
+			}
+			if (this.buffer.length < offset + 4 + length) return;
+
+			let mask = this.buffer.subarray(offset, offset + 4);
+			let payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+			for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+			this.buffer = this.buffer.subarray(offset + 4 + length);
+			this._frame(fin, opcode, payload);
+		}
+	}
+
+	_frame(fin, opcode, payload) {
+		if (opcode === OPCODE.text || opcode === OPCODE.continuation) {
+			this.fragments.push(payload);
+			let size = this.fragments.reduce((sum, part) => sum + part.length, 0);
+			if (size > MAX_MESSAGE_SIZE) {
+				this.socket.destroy();
+				return;
+			}
+			if (!fin) return;
+			let text = Buffer.concat(this.fragments).toString("utf8");
+			this.fragments = [];
+			this.onMessage(text);
+		} else if (opcode === OPCODE.ping) {
+			this._sendFrame(OPCODE.pong, payload);
+		} else if (opcode === OPCODE.pong) {
+			this.alive = true;
+		} else if (opcode === OPCODE.close) {
+			this.close();
+		}
+		// Binary frames aren't part of the protocol and are ignored
+	}
+
+	_closed() {
+		if (this.closed) return;
+		this.closed = true;
+		this.onClose();
+	}
+}
+
+// Parse "--key value" pairs into an object
+function parseArgs(argv) {
+	let args = {};
+	for (let i = 0; i < argv.length; i++) {
+		let match = /^--(.+)$/.exec(argv[i]);
+		if (!match) throw new Error(`Unexpected argument "${argv[i]}"`);
+		let value = argv[i + 1];
+		if (value === undefined || value.startsWith("--")) {
+			throw new Error(`Missing value for --${match[1]}`);
+		}
+		args[match[1]] = value;
+		i++;
+	}
+	return args;
+}
+
+// Whether a path relative to this folder is one of the public files
+function isPublic(relative) {
+	let parts = relative.split(path.sep);
+	if (parts.some((part) => part === ".." || part.startsWith("."))) return false;
+	if (parts.length === 1) return PUBLIC_FILES.includes(parts[0]);
+	return PUBLIC_DIRS.includes(parts[0]);
+}
+
+// Serve the sketch's public files; anything else is not found
+function serveFile(req, res) {
+	let urlPath;
+	try {
+		urlPath = decodeURIComponent(new URL(req.url, "http://localhost").pathname);
+	} catch (err) {
+		urlPath = ""; // Malformed escapes
+	}
+	if (urlPath.endsWith("/")) urlPath += "index.html";
+	let file = path.join(__dirname, path.normalize(urlPath));
+	if (!urlPath || !isPublic(path.relative(__dirname, file))) {
+		res.writeHead(404);
+		res.end("Not found");
+		return;
+	}
+	fs.readFile(file, (err, data) => {
+		if (err) {
+			res.writeHead(404);
+			res.end("Not found");
+			return;
+		}
+		let type = CONTENT_TYPES[path.extname(file)] || "application/octet-stream";
+		res.writeHead(200, { "Content-Type": type });
+		res.end(data);
+	});
+}
+
+// Whether the page asking to connect was served by the relay (same host and port).
+// Browsers always send Origin, so other pages on the network can't drive the sketch.
+function isOwnOrigin(req) {
+	let origin = req.headers.origin;
+	if (!origin || !req.headers.host) return false;
+	try {
+		return new URL(origin).host === req.headers.host;
+	} catch (err) {
+		return false;
+	}
+}
+
+// Complete the WebSocket handshake and add the connection to the relayed clients
+function upgrade(req, socket, clients) {
+	// A client that resets the connection mid-handshake must not crash the relay
+	socket.on("error", () => socket.destroy());
+	let key = req.headers["sec-websocket-key"];
+	if ((req.headers.upgrade || "").toLowerCase() !== "websocket" || !key) {
+		socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+		return;
+	}
+	if (!isOwnOrigin(req)) {
+		socket.end("HTTP/1.1 403 Forbidden\r\n\r\n");
+		return;
+	}
+	let accept = crypto.createHash("sha1").update(key + WEBSOCKET_GUID).digest("base64");
+	socket.write(
+		"HTTP/1.1 101 Switching Protocols\r\n" +
+			"Upgrade: websocket\r\n" +
+			"Connection: Upgrade\r\n" +
+			`Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+	);
+	socket.setNoDelay(true);
+
+	let client = new WebSocketClient(
+		socket,
+		(text) => {
+			for (let other of clients) {
+				if (other !== client) other.send(text);
+			}
+		},
+		() => {
+			clients.delete(client);
+			console.log(`Client left (${clients.size} connected)`);
+		}
+	);
+	clients.add(client);
+	console.log(`Client joined (${clients.size} connected)`);
+}
+
+function main() {
+	let args = parseArgs(process.argv.slice(2));
+	let port = args.port !== undefined ? parseInt(args.port, 10) : DEFAULT_PORT;
+	if (isNaN(port)) throw new Error("--port must be a number");
+
+	let clients = new Set();
+	let server = http.createServer(serveFile);
+	server.on("upgrade", (req, socket) => upgrade(req, socket, clients));
+
+	// Drop connections that went away without closing (e.g. a phone losing Wi-Fi)
+	setInterval(() => {
+		for (let client of clients) {
+			if (!client.alive) {
+				client.socket.destroy();
+				continue;
+			}
+			client.alive = false;
+			client.ping();
+		}
+	}, PING_INTERVAL);
+
+	server.on("error", (err) => {
+		if (err.code === "EADDRINUSE") {
+			console.error(`Port ${port} is already in use; pick another with --port`);
+		} else {
+			console.error(`Relay stopped: ${err.message}`);
+		}
+		process.exit(1);
+	});
+	server.listen(port, () => {
+		console.log(`Sketch:     http://localhost:${port}/?remote`);
+		console.log(`Controller: http://localhost:${port}/controller.html`);
+	});
+}
+
+// Run as a program; tests require() the pieces
+if (require.main === module) {
+	try {
+		main();
+	} catch (err) {
+		console.error(err.message);
+		process.exit(1);
+	}
+}
+
+module.exports = { WebSocketClient, isOwnOrigin, isPublic, serveFile, upgrade };
@@ -5,20 +5,39 @@ let drawRadius; // Radius of the circular drawing area (set in setup)
 let vinylDiscDiameter; // Diameter of the outer "vinyl" circle (set in setup)
 
 // --- Drawer Objects ---
-let mouseDrawer;
-let autoDrawer; // This will be an instance of a ProceduralDrawer subclass
+let layerStack; // Vinyl background plus the drawing layers, each with its own drawer
+let currentDrawer; // Drawer of the active layer
 let symmetrySlider; // Variable for the new slider
 let strokeWeightSlider; // Slider to control stroke weight
 let autoPauseButton;
 let autoPaused = false;
 
+// --- Session Seed ---
+// Drives every random() / noise() call so a design can be regenerated exactly.
+// Can be set from the URL: ?seed=123&symmetry=12&vinyl=0.85&colorRate=0.5&strokeWeight=12&drawSpeed=5
+// plus drawer=Flow%20Field and the flow-field params (particles, noiseScale, noiseSpeed, lifetime),
+// or drawer=Spirograph and the gear params (ring, gear, pen, layers, spiroType, onClose),
+// and palette=232327,A7A5A3,... for the active palette, colorMode=radial for the color mapping.
+// symMode=spiral picks the symmetry mode, with its settings (axis, spiralScale, twist, rings).
+// size=8000 picks the internal resolution (one of CANVAS_SIZES).
+// remote (or remote=ws://host:port) connects to a relay.js server for remote control.
+let sessionSeed;
+let urlParams = {}; // Query parameters read in setup()
+let seedInput;
+
 // High-resolution canvas configuration
-const INTERNAL_CANVAS_SIZE = 4000; // Internal resolution for high-quality export
-const DISPLAY_SIZE = 900; // Display size in pixels (will be scaled via CSS)
+// The internal resolution is picked in the UI (or ?size=); the display is scaled to fit the window.
+// Stroke weights and other pixel settings are given at KaleidoscopeCore.REFERENCE_SIZE (4000).
+const CANVAS_SIZES = [2000, 4000, 8000]; // Internal resolutions offered for export
+let canvasSize = KaleidoscopeCore.REFERENCE_SIZE; // Internal resolution in pixels
+let displaySize = 900; // Display size in pixels (will be scaled via CSS)
 let canvasScale; // Multiplier to convert display coordinates to internal coordinates
+let mainCanvas; // The p5 canvas, shown inside canvasWrapper
+let canvasWrapper; // Display-sized box the scaled canvas sits in
+let canvasSizeSelect;
+let canvasSizeStatusSpan; // Says why a resolution couldn't be used
+let saveButton;
 
-// Global canvas size (accessible anywhere)
-let w = DISPLAY_SIZE; // Display width/height
 let vinylSlider;
 let vinylValueSpan;
 
@@ -36,32 +55,66 @@ let hexPalette = [
  * Class: VinylBackground
  * Encapsulates the background and vinyl disc rendering.
  * Handles high-resolution canvas (internal) vs display size properly.
+ * With details on, the disc gets groove rings, a run-out area, a light sheen,
+ * a paper center label with text set on a circle, and a spindle hole.
  */
 class VinylBackground {
-	constructor(vinylSizeRatio = 0.85, bgColor = undefined, discColor = 50) {
-		this.vinylSizeRatio = vinylSizeRatio; // Size as ratio of display width (0-1)
+	/**
+	 * Style options (4th argument):
+	 *   - details: draw grooves, sheen, label and spindle hole (default true)
+	 *   - labelSizeRatio: label radius as a fraction of the disc radius (default 0.34)
+	 *   - labelColor: any color() value for the paper label (default "#E5E5E3")
+	 *   - artist, title, side: label text (defaults "", "", "A")
+	 *   - clipMode: where the kaleidoscope may draw: "both", "grooves" or "label" (default "both")
+	 */
+	constructor(vinylSizeRatio = 0.85, bgColor = undefined, discColor = 50, opts = {}) {
+		this.vinylSizeRatio = vinylSizeRatio; // Size as ratio of the canvas width (0-1)
 		// If bgColor not provided, choose a random color from global palette
 		if (bgColor !== undefined) {
 			this.bgColor = bgColor;
 		} else {
-			// pick a random hex from hexPalette and convert to p5.Color
-			let hex = random(hexPalette);
-			this.bgColor = color(hex);
+			// pick a random hex from hexPalette and convert to p5.Color.
+			// The index is kept so a palette switch can re-pick the same slot.
+			this.bgPaletteIndex = floor(random(hexPalette.length));
+			this.bgColor = color(hexPalette[this.bgPaletteIndex]);
 		}
 		this.discColor = discColor; // Vinyl disc color
+		this.setStyle(opts);
+	}
+
+	// Re-pick the background color from a new palette (same slot as before)
+	setPalette(hexes) {
+		if (this.bgPaletteIndex === undefined) return;
+		this.bgColor = color(hexes[this.bgPaletteIndex % hexes.length]);
+	}
+
+	// Update the label / detail options and recompute sizes
+	setStyle(opts = {}) {
+		this.details = opts.details !== undefined ? opts.details : true;
+		this.labelSizeRatio =
+			opts.labelSizeRatio !== undefined ? opts.labelSizeRatio : 0.34;
+		this.labelColor = color(opts.labelColor !== undefined ? opts.labelColor : "#E5E5E3");
+		this.artist = opts.artist || "";
+		this.title = opts.title || "";
+		this.side = opts.side !== undefined ? opts.side : "A";
+		this.clipMode = opts.clipMode || "both";
 		this.updateSizes();
 	}
 
-	// Update computed sizes based on current display size and ratio
+	// Update computed sizes based on the current canvas size and ratio
 	// All sizes are calculated in internal canvas coordinates
 	updateSizes() {
-		// Calculate displayed vinyl diameter based on display size (w = DISPLAY_SIZE)
-		let displayedVinylDiameter = this.vinylSizeRatio * w;
-		// Convert to internal canvas coordinates
-		this.vinylDiscDiameter = displayedVinylDiameter * canvasScale;
+		// The disc is a fraction of the canvas, whatever its resolution
+		this.vinylDiscDiameter = this.vinylSizeRatio * canvasSize;
 		this.drawRadius = this.vinylDiscDiameter / 2;
 		// Internal canvas dimensions
-		this.canvasWidth = INTERNAL_CANVAS_SIZE;
+		this.canvasWidth = canvasSize;
+
+		// Record anatomy, as fractions of the disc radius
+		this.labelRadius = this.drawRadius * this.labelSizeRatio;
+		this.grooveInnerRadius = this.labelRadius + this.drawRadius * 0.12; // Run-out ends here
+		this.grooveOuterRadius = this.drawRadius * 0.975; // Lead-in edge
+		this.spindleRadius = this.drawRadius * 0.024;
 	}
 
 	// Set the vinyl size ratio (0-1) and update computed sizes
@@ -80,336 +133,4930 @@ class VinylBackground {
 		return this.vinylDiscDiameter;
 	}
 
-	// Draw the background and vinyl disc
-	draw() {
-		push(); // Save current style settings
-		resetMatrix(); // Ensure we draw from the top-left (0,0)
+	/**
+	 * Inner and outer radius of the area the kaleidoscope may draw on,
+	 * following clipMode. Shaped like a stroke history segment's clip fields.
+	 */
+	getClipRadii() {
+		if (!this.details || this.clipMode === "both") {
+			return { radius: this.drawRadius, innerRadius: 0 };
+		}
+		if (this.clipMode === "label") {
+			return { radius: this.labelRadius, innerRadius: 0 };
+		}
+		return { radius: this.drawRadius, innerRadius: this.labelRadius };
+	}
+
+	/**
+	 * Groove rings from the run-out to the lead-in. Each ring is
+	 * { r, gray, alpha, weight }. Track gaps sit at fixed fractions of
+	 * the grooved band (no random() here, so seeds stay stable).
+	 */
+	grooveRings() {
+		let rings = [];
+		let spacing = this.drawRadius / 260;
+		let band = this.grooveOuterRadius - this.grooveInnerRadius;
+		let gaps = [0.22, 0.47, 0.7].map((f) => this.grooveInnerRadius + f * band);
+		let i = 0;
+		for (let r = this.grooveInnerRadius; r <= this.grooveOuterRadius; r += spacing) {
+			let nearGap = gaps.some((g) => abs(r - g) < spacing * 1.5);
+			if (nearGap) {
+				// Track gaps: smooth, slightly shinier bands
+				rings.push({ r: r, gray: 255, alpha: 0.09, weight: spacing * 0.9 });
+			} else {
+				rings.push({
+					r: r,
+					gray: i % 2 ? 0 : 255,
+					alpha: i % 2 ? 0.18 : 0.05,
+					weight: spacing * 0.35,
+				});
+			}
+			i++;
+		}
+
+		// A few wide spirals of the run-out area
+		let runoutSpacing = (this.grooveInnerRadius - this.labelRadius) / 5;
+		for (let k = 1; k < 5; k++) {
+			rings.push({
+				r: this.labelRadius + k * runoutSpacing,
+				gray: 255,
+				alpha: 0.04,
+				weight: spacing * 0.3,
+			});
+		}
+		return rings;
+	}
+
+	/**
+	 * Anisotropic sheen: two opposite highlights built from stacked
+	 * low-alpha wedges over the grooved area. Angles in degrees.
+	 */
+	sheenWedges() {
+		let wedges = [];
+		for (let center of [-45, 135]) {
+			for (let k = 1; k <= 6; k++) {
+				let halfWidth = 4 * k;
+				wedges.push({ start: center - halfWidth, end: center + halfWidth, alpha: 0.025 });
+			}
+		}
+		return wedges;
+	}
+
+	// Text color that reads on the label
+	labelTextColor() {
+		return brightness(this.labelColor) > 50 ? color(0, 0, 10) : color(0, 0, 95);
+	}
+
+	// Draw the background and vinyl disc onto the graphics buffer `g`
+	draw(g) {
+		g.push(); // Save current style settings
+		g.resetMatrix(); // Ensure we draw from the top-left (0,0)
 
 		// 1. Draw the "album cover" background
-		background(this.bgColor);
+		g.background(this.bgColor);
 
 		// 2. Draw the dark "vinyl" disc
-		fill(this.discColor);
-		noStroke();
-		circle(this.canvasWidth / 2, this.canvasWidth / 2, this.vinylDiscDiameter);
+		g.fill(this.discColor);
+		g.noStroke();
+		g.circle(this.canvasWidth / 2, this.canvasWidth / 2, this.vinylDiscDiameter);
 
-		pop(); // Restore style settings
-	}
-}
+		if (this.details) {
+			g.translate(this.canvasWidth / 2, this.canvasWidth / 2);
+			this._drawSheen(g);
+			this._drawGrooves(g);
+			this._drawLabel(g);
 
-// Global singleton instance
-let vinylBackground;
+			// Spindle hole shows the background through the record
+			g.fill(this.bgColor);
+			g.noStroke();
+			g.circle(0, 0, this.spindleRadius * 2);
+		}
 
-// Class: Mouse-driven drawer
-class MouseDrawer {
-	constructor() {
-		// No longer needs symmetry argument
-		// this.symmetry and this.angle removed, will use global vars
+		g.pop(); // Restore style settings
+	}
 
-		// --- New Color Palette Logic ---
-		// Use the global hexPalette declared above and convert to p5.Color objects
-		this.palette = hexPalette.map((c) => color(c));
+	_drawSheen(g) {
+		let ctx = g.drawingContext;
+		for (let wedge of this.sheenWedges()) {
+			let a0 = radians(wedge.start);
+			let a1 = radians(wedge.end);
+			ctx.beginPath();
+			ctx.arc(0, 0, this.grooveOuterRadius, a0, a1, false);
+			ctx.arc(0, 0, this.labelRadius, a1, a0, true);
+			ctx.closePath();
+			ctx.fillStyle = `rgba(255, 255, 255, ${wedge.alpha})`;
+			ctx.fill();
+		}
+	}
 
-		this.colorInterpolation = 0; // Tracks our position in the palette
-		this.colorInterpolationSpeed = 0.01; // How fast to cycle (lower is slower)
-		// --- End New Color Logic ---
+	_drawGrooves(g) {
+		g.noFill();
+		for (let ring of this.grooveRings()) {
+			g.stroke(`rgba(${ring.gray}, ${ring.gray}, ${ring.gray}, ${ring.alpha})`);
+			g.strokeWeight(ring.weight);
+			g.circle(0, 0, ring.r * 2);
+		}
 	}
 
-	// We'll call this from the main draw() loop
-	draw() {
-		// Only draw if the mouse is pressed and inside the canvas
-		// Note: mouseX/mouseY are in display coordinates, but width/height are internal
-		// so we scale mouse coords to internal coordinates for proper comparison
-		let scaledMouseX = mouseX * canvasScale;
-		let scaledMouseY = mouseY * canvasScale;
-		let scaledPMouseX = pmouseX * canvasScale;
-		let scaledPMouseY = pmouseY * canvasScale;
-		
-		if (
-			mouseIsPressed === true &&
-			mouseX > 0 &&
-			mouseX < DISPLAY_SIZE &&
-			mouseY > 0 &&
-			mouseY < DISPLAY_SIZE
-		) {
-			// Get mouse coordinates relative to the center (using scaled coords)
-			let lineStartX = scaledMouseX - width / 2;
-			let lineStartY = scaledMouseY - height / 2;
-			let lineEndX = scaledPMouseX - width / 2;
-			let lineEndY = scaledPMouseY - height / 2;
+	_drawLabel(g) {
+		g.fill(this.labelColor);
+		g.noStroke();
+		g.circle(0, 0, this.labelRadius * 2);
 
-			// --- Calculate the interpolated color ---
-			// Increment our interpolation value
-			this.colorInterpolation += this.colorInterpolationSpeed;
+		// Thin printed ring near the label edge
+		g.noFill();
+		g.stroke(this.labelTextColor());
+		g.strokeWeight(this.labelRadius * 0.008);
+		g.circle(0, 0, this.labelRadius * 1.86);
 
-			// Wrap the value so it stays within the palette's bounds
-			let t = this.colorInterpolation % this.palette.length;
+		let fontSize = this.labelRadius * 0.11;
+		let textRadius = this.labelRadius * 0.72;
+		g.fill(this.labelTextColor());
+		g.noStroke();
+		g.textFont("sans-serif");
+		g.textStyle(BOLD);
+		g.textSize(fontSize);
+		this._drawArcText(g, this.artist.toUpperCase(), textRadius, true);
+		this._drawArcText(g, this.title, textRadius, false);
 
-			// Find the two colors to blend between
-			let color1Index = floor(t);
-			let color2Index = (color1Index + 1) % this.palette.length; // Wrap around
+		if (this.side) {
+			g.textAlign(CENTER, CENTER);
+			g.text("SIDE " + this.side, 0, this.labelRadius * 0.38);
+		}
+	}
 
-			// Find the blend amount (the fractional part of t)
-			let interpolationFactor = t - color1Index;
+	/**
+	 * Set text along a circle centered on the label: on the top arc reading
+	 * clockwise, or on the bottom arc reading left to right.
+	 */
+	_drawArcText(g, str, radius, top) {
+		if (!str) return;
+		let widths = [...str].map((ch) => g.textWidth(ch));
+		let totalAngle = degrees(widths.reduce((a, b) => a + b, 0) / radius);
+		let a = top ? -90 - totalAngle / 2 : 90 + totalAngle / 2;
 
-			// Get the two colors from our palette
-			let color1 = this.palette[color1Index];
-			let color2 = this.palette[color2Index];
+		g.textAlign(CENTER, BASELINE);
+		[...str].forEach((ch, i) => {
+			let step = degrees(widths[i] / radius);
+			a += top ? step / 2 : -step / 2;
+			g.push();
+			g.translate(radius * cos(a), radius * sin(a));
+			g.rotate(top ? a + 90 : a - 90);
+			g.text(ch, 0, 0);
+			g.pop();
+			a += top ? step / 2 : -step / 2;
+		});
+	}
 
-			// Calculate the final blended color
-			let currentColor = lerpColor(color1, color2, interpolationFactor);
-			// --- End Color Calculation ---
+	/**
+	 * SVG elements for the background and disc (matching draw()),
+	 * as an array of strings. `num` formats coordinates.
+	 */
+	svgElements(num) {
+		let size = this.canvasWidth;
+		let c = size / 2;
+		let els = [
+			`<rect x="0" y="0" width="${size}" height="${size}" ${SvgExporter.colorAttrs(this.bgColor, "fill")}/>`,
+			`<circle cx="${c}" cy="${c}" r="${num(this.drawRadius)}" ${SvgExporter.colorAttrs(this.discColor, "fill")}/>`,
+		];
+		if (!this.details) return els;
 
-			// The kaleidoscope drawing loop
-			// Use the global 'symmetry' and 'angle' variables which are updated by the slider
-			for (let i = 0; i < symmetry; i++) {
-				rotate(angle);
+		// Sheen wedges
+		for (let wedge of this.sheenWedges()) {
+			let p = (r, a) => `${num(c + r * cos(a))} ${num(c + r * sin(a))}`;
+			let ro = this.grooveOuterRadius;
+			let ri = this.labelRadius;
+			els.push(
+				`<path d="M${p(ro, wedge.start)}A${num(ro)} ${num(ro)} 0 0 1 ${p(ro, wedge.end)}` +
+					`L${p(ri, wedge.end)}A${num(ri)} ${num(ri)} 0 0 0 ${p(ri, wedge.start)}Z" fill="#ffffff" fill-opacity="${wedge.alpha}"/>`
+			);
+		}
 
-				// Use the new interpolated color instead of random
-				stroke(currentColor);
-				// Use the live stroke weight from the slider if available
-				strokeWeight(strokeWeightSlider ? strokeWeightSlider.value() : 1.5);
-				line(lineStartX, lineStartY, lineEndX, lineEndY);
+		// Grooves
+		els.push('<g fill="none">');
+		for (let ring of this.grooveRings()) {
+			let gray = ring.gray ? "#ffffff" : "#000000";
+			els.push(
+				`<circle cx="${c}" cy="${c}" r="${num(ring.r)}" stroke="${gray}" stroke-opacity="${ring.alpha}" stroke-width="${num(ring.weight)}"/>`
+			);
+		}
+		els.push("</g>");
 
-				// Draw the reflected line
-				push();
-				scale(1, -1);
-				line(lineStartX, lineStartY, lineEndX, lineEndY);
-				pop();
-			}
+		// Label, printed ring and text
+		let textColor = SvgExporter.colorAttrs(this.labelTextColor(), "fill");
+		let ringColor = SvgExporter.colorAttrs(this.labelTextColor(), "stroke");
+		els.push(
+			`<circle cx="${c}" cy="${c}" r="${num(this.labelRadius)}" ${SvgExporter.colorAttrs(this.labelColor, "fill")}/>`,
+			`<circle cx="${c}" cy="${c}" r="${num(this.labelRadius * 0.93)}" fill="none" ${ringColor} stroke-width="${num(this.labelRadius * 0.008)}"/>`
+		);
+		let tr = this.labelRadius * 0.72;
+		let fontAttrs = `font-family="sans-serif" font-weight="bold" font-size="${num(this.labelRadius * 0.11)}" text-anchor="middle" ${textColor}`;
+		els.push(
+			"<defs>",
+			`<path id="label-top-arc" d="M${num(c - tr)} ${c}A${num(tr)} ${num(tr)} 0 0 1 ${num(c + tr)} ${c}"/>`,
+			`<path id="label-bottom-arc" d="M${num(c - tr)} ${c}A${num(tr)} ${num(tr)} 0 0 0 ${num(c + tr)} ${c}"/>`,
+			"</defs>"
+		);
+		if (this.artist) {
+			els.push(
+				`<text ${fontAttrs}><textPath href="#label-top-arc" startOffset="50%">${escapeXml(this.artist.toUpperCase())}</textPath></text>`
+			);
+		}
+		if (this.title) {
+			els.push(
+				`<text ${fontAttrs}><textPath href="#label-bottom-arc" startOffset="50%">${escapeXml(this.title)}</textPath></text>`
+			);
+		}
+		if (this.side) {
+			els.push(
+				`<text x="${c}" y="${num(c + this.labelRadius * 0.38)}" dominant-baseline="central" ${fontAttrs}>${escapeXml("SIDE " + this.side)}</text>`
+			);
 		}
+
+		// Spindle hole
+		els.push(
+			`<circle cx="${c}" cy="${c}" r="${num(this.spindleRadius)}" ${SvgExporter.colorAttrs(this.bgColor, "fill")}/>`
+		);
+		return els;
 	}
 }
 
 /**
- * Class 2: "Abstract" base class for procedural drawing.
- * It defines the methods that concrete drawers must implement.
+ * Clip the 2D context `ctx` to the ring between innerRadius and
+ * radius around the origin (a full circle when innerRadius is 0).
+ * Call ctx.save() before and ctx.restore() after.
  */
-class ProceduralDrawer {
-	constructor() {
-		// Constructor is empty, setup happens in subclasses
+function clipToRing(ctx, radius, innerRadius = 0) {
+	ctx.beginPath();
+	ctx.arc(0, 0, radius, 0, TWO_PI, true);
+	if (innerRadius > 0) {
+		ctx.moveTo(innerRadius, 0);
+		ctx.arc(0, 0, innerRadius, 0, TWO_PI, false);
 	}
+	ctx.clip("evenodd");
+}
 
-	// Update the drawer's internal state (e.g., position)
-	update() {
-		throw new Error("Method 'update()' must be implemented by subclass");
+// Escape text for use inside SVG / XML
+function escapeXml(str) {
+	return String(str)
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;");
+}
+
+// Global singleton instance
+let vinylBackground;
+
+// --- Symmetry Modes ---
+// How every drawer repeats a segment around the center:
+//   "rotation" - `symmetry` rotated copies (cyclic, no mirror)
+//   "dihedral" - rotated copies plus their reflections (the original behavior)
+//   "mirror"   - the segment and its reflection across a line through the center at mirrorAxis degrees
+//   "spiral"   - `symmetry` copies, each one spiralScale times smaller and spiralTwist degrees further round
+//   "radial"   - the rotated copies repeated at radialRings radii, stepping in toward the center
+let symmetryMode = "dihedral";
+let mirrorAxis = 90;
+let spiralScale = 0.9;
+let spiralTwist = 10;
+let radialRings = 3;
+let symmetrySpec = null; // Cached by getSymmetrySpec()
+
+/**
+ * The current symmetry settings as { key, mode, count, axis, scale, twist, rings, transforms }.
+ * The same object is returned until a setting changes, so the segments that share it
+ * can be compared by identity (e.g. when the SVG exporter merges runs).
+ */
+function getSymmetrySpec() {
+	symmetrySpec = symmetrySpecFor(symmetry, symmetrySpec);
+	return symmetrySpec;
+}
+
+// Symmetry spec with `count` copies and the current mode settings (a ring zone has its
+// own count). `previous` is returned as long as it still matches.
+function symmetrySpecFor(count, previous) {
+	let key = [symmetryMode, count, mirrorAxis, spiralScale, spiralTwist, radialRings].join("/");
+	if (previous && previous.key === key) return previous;
+	let spec = {
+		key: key,
+		mode: symmetryMode,
+		count: count,
+		axis: mirrorAxis,
+		scale: spiralScale,
+		twist: spiralTwist,
+		rings: radialRings,
+	};
+	spec.transforms = KaleidoscopeCore.symmetryTransforms(spec);
+	return spec;
+}
+
+/**
+ * Draw one segment onto the graphics buffer `g`, repeated around the center
+ * by the copies of the symmetry spec `sym` (see getSymmetrySpec()).
+ * Assumes g's origin has already been translated to the canvas center.
+ */
+function drawSymmetricLine(g, x1, y1, x2, y2, segColor, weight, sym) {
+	g.stroke(segColor);
+	g.strokeWeight(weight);
+	for (let [a, b, c, d] of sym.transforms) {
+		g.line(a * x1 + c * y1, b * x1 + d * y1, a * x2 + c * y2, b * x2 + d * y2);
 	}
+}
 
-	// Draw the content to the canvas
-	draw() {
-		throw new Error("Method 'draw()' must be implemented by subclass");
+/**
+ * Draw one recorded mark (see Brush) onto `g` with every symmetric copy.
+ * `mark.mark` selects the shape: "dot", "ribbon", "airbrush", or a line
+ * segment when absent.
+ */
+function drawSymmetricMark(g, mark) {
+	let transforms = mark.symmetry.transforms;
+	switch (mark.mark) {
+		case "dot":
+			g.noStroke();
+			g.fill(mark.color);
+			for (let [a, b, c, d] of transforms) {
+				g.circle(a * mark.x1 + c * mark.y1, b * mark.x1 + d * mark.y1, mark.weight);
+			}
+			break;
+		case "ribbon": {
+			let corners = Brush.ribbonCorners(mark);
+			g.noStroke();
+			g.fill(mark.color);
+			for (let [a, b, c, d] of transforms) {
+				g.beginShape();
+				for (let pt of corners) g.vertex(a * pt.x + c * pt.y, b * pt.x + d * pt.y);
+				g.endShape(CLOSE);
+			}
+			break;
+		}
+		case "airbrush": {
+			// Radial gradients straight on the 2D context: p5 has no soft fill
+			let ctx = g.drawingContext;
+			let [r, gr, bl, alpha] = color(mark.color).levels;
+			let rgb = `${r}, ${gr}, ${bl}`;
+			let radius = mark.weight / 2;
+			for (let [a, b, c, d] of transforms) {
+				let x = a * mark.x1 + c * mark.y1;
+				let y = b * mark.x1 + d * mark.y1;
+				let gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
+				gradient.addColorStop(0, `rgba(${rgb}, ${(alpha / 255) * Brush.AIRBRUSH_FLOW})`);
+				gradient.addColorStop(1, `rgba(${rgb}, 0)`);
+				ctx.fillStyle = gradient;
+				ctx.beginPath();
+				ctx.arc(x, y, radius, 0, TWO_PI);
+				ctx.fill();
+			}
+			break;
+		}
+		default:
+			drawSymmetricLine(
+				g,
+				mark.x1,
+				mark.y1,
+				mark.x2,
+				mark.y2,
+				mark.color,
+				mark.weight,
+				mark.symmetry
+			);
 	}
 }
 
 /**
- * Class 3: Concrete Sinusoidal Drawer
- * Extends ProceduralDrawer to draw patterns using sin() and cos().
+ * Class: Brush
+ * Sits between a drawer and its layer: the drawer feeds raw segments, the brush
+ * smooths them, tapers them by speed and turns them into marks of the chosen
+ * style, which it draws with symmetry and records in the layer's history.
+ * Each Layer owns one brush, so it works the same for every drawer.
+ *
+ * Settings:
+ *   - style: "line", "dotted", "dashed", "ribbon" (calligraphic nib) or "airbrush"
+ *   - smoothing: "none", "stabilizer" (trails the input by `lag`) or "catmull-rom"
+ *     (a curve through the input points, drawn one point behind)
+ *   - lag: 0 - 0.95, how far the stabilizer trails the input
+ *   - taper: 0 - 1, how much thinner fast strokes get
+ *   - nibAngle: degrees, the fixed angle of the ribbon nib
  */
-class SinusoidalDrawer extends ProceduralDrawer {
-	// Internal helper class that represents a single sinusoidal component
-	static SinusoidalWave = class {
-		constructor(
-			radius = 0,
-			freq = 1,
-			phase = 0,
-			phaseInc = undefined,
-			mode = "sin"
-		) {
-			this.radius = radius;
-			this.freq = freq;
-			this.phase = phase;
-			// If phaseInc isn't provided, choose a small random drift when constructed
-			this.phaseInc = phaseInc !== undefined ? phaseInc : random(0.0005, 0.005);
-			// mode = 'sin' or 'cos' (controls which trig function to use)
-			this.mode = mode;
+class Brush {
+	static STYLES = ["line", "dotted", "dashed", "ribbon", "airbrush"];
+	static SMOOTHING = ["none", "stabilizer", "catmull-rom"];
+	static AIRBRUSH_FLOW = 0.25; // Opacity at the center of one airbrush dab
+
+	constructor(settings = {}) {
+		this.trails = new Map(); // Trail key -> smoothing / spacing state of one continuous stroke
+		this.setSettings(settings);
+	}
+
+	setSettings(settings) {
+		this.style = settings.style || "line";
+		this.smoothing = settings.smoothing || "none";
+		this.lag = settings.lag !== undefined ? settings.lag : 0.5;
+		this.taper = settings.taper !== undefined ? settings.taper : 0;
+		this.nibAngle = settings.nibAngle !== undefined ? settings.nibAngle : 45;
+	}
+
+	getSettings() {
+		return {
+			style: this.style,
+			smoothing: this.smoothing,
+			lag: this.lag,
+			taper: this.taper,
+			nibAngle: this.nibAngle,
+		};
+	}
+
+	// Forget every stroke in progress (e.g. when the layer gets a new drawer)
+	reset() {
+		this.trails.clear();
+	}
+
+	// Corners of a ribbon mark: the nib (weight long, at nibAngle) swept along the segment
+	static ribbonCorners(mark) {
+		let nx = (Math.cos(radians(mark.nibAngle)) * mark.weight) / 2;
+		let ny = (Math.sin(radians(mark.nibAngle)) * mark.weight) / 2;
+		return [
+			{ x: mark.x1 + nx, y: mark.y1 + ny },
+			{ x: mark.x2 + nx, y: mark.y2 + ny },
+			{ x: mark.x2 - nx, y: mark.y2 - ny },
+			{ x: mark.x1 - nx, y: mark.y1 - ny },
+		];
+	}
+
+	/**
+	 * Feed the raw segment (x2, y2) -> (x1, y1) of a stroke to the brush.
+	 * `drawer` supplies the target buffer and history, `trail` tells concurrent
+	 * strokes apart (a pointer, a particle, ...). A segment that doesn't start
+	 * where the trail's last one ended begins a new stroke.
+	 */
+	stroke(drawer, trail, x1, y1, x2, y2, segColor, weight, source) {
+		let state = this.trails.get(trail);
+		if (!state || state.last.x !== x2 || state.last.y !== y2) {
+			if (state) this._finish(drawer, state); // The trail jumped, e.g. a respawned particle
+			let start = { x: x2, y: y2 };
+			state = {
+				last: start, // Last raw point
+				points: [start, start], // Recent raw points for Catmull-Rom
+				smoothed: start, // Stabilizer position
+				drawn: start, // End of the last emitted piece
+				speed: 0, // Smoothed distance per piece, for tapering
+				distance: 0, // Length drawn so far, for dot / dash / dab spacing
+				nextDab: 0, // Distance of the next dot or airbrush dab
+			};
+			this.trails.set(trail, state);
 		}
+		state.last = { x: x1, y: y1 };
+		state.frame = frameCount;
+		// Kept to draw the rest of the stroke in _finish()
+		state.color = segColor;
+		state.weight = weight;
+		state.source = source;
 
-		value(t) {
-			if (this.mode === "sin")
-				return sin(t * this.freq + this.phase) * this.radius;
-			return cos(t * this.freq + this.phase) * this.radius;
+		for (let pt of this._smooth(state, x1, y1)) {
+			this._emit(drawer, state, pt, segColor, weight, source);
 		}
 
-		incrementPhase() {
-			this.phase += this.phaseInc;
+		// Drop trails that haven't been fed for a while (ended strokes, respawned particles)
+		if (frameCount % 60 === 0) {
+			for (let [key, s] of this.trails) {
+				if (frameCount - s.frame > 60) {
+					this._finish(drawer, s);
+					this.trails.delete(key);
+				}
+			}
 		}
+	}
+
+	// End a stroke (e.g. when its pointer lifts): draw the part the smoothing still holds back
+	finishStroke(drawer, trail) {
+		let state = this.trails.get(trail);
+		if (!state) return;
+		this._finish(drawer, state);
+		this.trails.delete(trail);
+	}
 
-		setPhaseInc(v) {
-			this.phaseInc = v;
+	// Catmull-Rom runs one raw point behind and the stabilizer never quite arrives,
+	// so carry the stroke on to its last raw point
+	_finish(drawer, state) {
+		let rest = [];
+		if (this.smoothing === "catmull-rom") {
+			// Repeating the last point curves the final piece into it
+			rest = this._smooth(state, state.last.x, state.last.y);
+		} else if (this.smoothing === "stabilizer") {
+			state.smoothed = state.last;
+			rest = [state.last];
 		}
-	};
+		for (let pt of rest) {
+			this._emit(drawer, state, pt, state.color, state.weight, state.source);
+		}
+	}
 
-	/**
-	 * Create a new SinusoidalDrawer.
-	 * Accepts an optional options object so it can be instantiated in one line.
-	 *
-	 * Options:
-	 *   - tIncrement: speed of wave progression (default 10)
-	 *   - xWaves: array of wave configs for x-axis (each has radius, freq, phase?, phaseInc?, mode?)
-	 *   - yWaves: array of wave configs for y-axis (each has radius, freq, phase?, phaseInc?, mode?)
-	 *   - palette: array of hex color strings
-	 *   - colorInterpolation, colorInterpolationSpeed: color cycling params
-	 *
-	 * Legacy options (r1, r2, f1, f2, r3, r4, f3, f4, phases, phiIncs) still supported for backward compatibility.
-	 *
-	 * Example: new SinusoidalDrawer({
-	 *   tIncrement: 0.05,
-	 *   xWaves: [{radius: 100, freq: 1.0}, {radius: 100, freq: 2.5}],
-	 *   yWaves: [{radius: 100, freq: 1.5}, {radius: 100, freq: 3.0}]
-	 * })
-	 */
-	constructor(opts = {}) {
-		super(); // Call the parent constructor
-
-		// --- Sinusoidal Wave Setup ---
-		this.pos = createVector(0, 0);
-		this.prevPos = createVector(0, 0);
-		this.t = opts.t !== undefined ? opts.t : 0; // Our time variable
-
-		// How fast to move through the waves (can be controlled by draw speed slider)
-		this.tIncrement = opts.tIncrement !== undefined ? opts.tIncrement : 10;
-
-		// --- Generalized Wave Instantiation ---
-		// Always use default waves
-		this.xWaves = this._createWavesFromConfig([
-			{ radius: drawRadius * 1.0, freq: 10.0, phaseInc: 0.1, mode: "sin" },
-			{ radius: drawRadius * 0.4, freq: 5.0, mode: "sin" },
-		]);
-		this.yWaves = this._createWavesFromConfig([
-			{ radius: drawRadius * 0.4, freq: 6.0, mode: "cos" },
-			{ radius: drawRadius * 0.4, freq: 1.0, mode: "cos" },
-		]);
-
-		// --- Color Palette Logic ---
-		// Use provided palette or fall back to global hexPalette
-		let usedHexPalette =
-			opts.palette && opts.palette.length ? opts.palette : hexPalette;
-		this.palette = usedHexPalette.map((c) => color(c));
-		this.colorInterpolation =
-			opts.colorInterpolation !== undefined ? opts.colorInterpolation : 0;
-		this.colorInterpolationSpeed =
-			opts.colorInterpolationSpeed !== undefined
-				? opts.colorInterpolationSpeed
-				: 0.01;
-		// --- End Color Logic ---
+	// Points the smoothed stroke moves through for a new raw point
+	_smooth(state, x, y) {
+		if (this.smoothing === "stabilizer") {
+			let k = 1 - this.lag;
+			state.smoothed = {
+				x: state.smoothed.x + (x - state.smoothed.x) * k,
+				y: state.smoothed.y + (y - state.smoothed.y) * k,
+			};
+			return [state.smoothed];
+		}
+
+		if (this.smoothing === "catmull-rom") {
+			let pts = state.points;
+			pts.push({ x: x, y: y });
+			if (pts.length > 4) pts.shift();
+			if (pts.length < 4) return [];
+
+			// Curve from pts[1] to pts[2], in steps of about 8 pixels
+			let [p0, p1, p2, p3] = pts;
+			let steps = constrain(ceil(dist(p1.x, p1.y, p2.x, p2.y) / 8), 1, 16);
+			let out = [];
+			for (let i = 1; i <= steps; i++) {
+				let t = i / steps;
+				out.push({
+					x: Brush.catmullRom(p0.x, p1.x, p2.x, p3.x, t),
+					y: Brush.catmullRom(p0.y, p1.y, p2.y, p3.y, t),
+				});
+			}
+			return out;
+		}
+
+		return [{ x: x, y: y }];
+	}
+
+	// Uniform Catmull-Rom interpolation between b and c
+	static catmullRom(a, b, c, d, t) {
+		return (
+			0.5 *
+			(2 * b +
+				(-a + c) * t +
+				(2 * a - 5 * b + 4 * c - d) * t * t +
+				(-a + 3 * b - 3 * c + d) * t * t * t)
+		);
+	}
+
+	// Turn the piece from the last drawn point to `to` into marks of the brush style
+	_emit(drawer, state, to, segColor, baseWeight, source) {
+		let from = state.drawn;
+		let len = dist(from.x, from.y, to.x, to.y);
+		state.drawn = to;
+
+		// Faster strokes get thinner; ~2% of the disc radius per piece counts as full speed
+		state.speed = lerp(state.speed, len, 0.3);
+		let fullSpeed = drawRadius * 0.02;
+		let weight = baseWeight * (1 - this.taper * constrain(state.speed / fullSpeed, 0, 1));
+
+		let at = (d) => {
+			let t = len > 0 ? d / len : 0;
+			return { x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t };
+		};
+		let mark = (fields) =>
+			this._record(drawer, { color: segColor, weight: weight, ...fields }, source);
+
+		switch (this.style) {
+			case "dotted":
+			case "airbrush": {
+				// Dots / dabs at even spacing along the stroke
+				let dotted = this.style === "dotted";
+				let spacing = max(weight * (dotted ? 2 : 0.5), 1);
+				while (state.nextDab <= state.distance + len) {
+					let pt = at(state.nextDab - state.distance);
+					mark({
+						mark: dotted ? "dot" : "airbrush",
+						x1: pt.x,
+						y1: pt.y,
+						x2: pt.x,
+						y2: pt.y,
+						weight: dotted ? weight : weight * 3,
+					});
+					state.nextDab += spacing;
+				}
+				break;
+			}
+			case "dashed": {
+				let dash = weight * 4;
+				let period = dash + weight * 3;
+				let pos = 0;
+				while (pos < len) {
+					let phase = (state.distance + pos) % period;
+					let end = min(len, pos + (phase < dash ? dash : period) - phase);
+					if (phase < dash) {
+						let a = at(pos);
+						let b = at(end);
+						mark({ x1: b.x, y1: b.y, x2: a.x, y2: a.y });
+					}
+					pos = end;
+				}
+				break;
+			}
+			case "ribbon":
+				mark({
+					mark: "ribbon",
+					x1: to.x,
+					y1: to.y,
+					x2: from.x,
+					y2: from.y,
+					nibAngle: this.nibAngle,
+				});
+				break;
+			default:
+				mark({ x1: to.x, y1: to.y, x2: from.x, y2: from.y });
+		}
+		state.distance += len;
+	}
+
+	// Draw a mark with the layer's symmetry and record it so it can be undone / replayed
+	_record(drawer, mark, source) {
+		mark.symmetry = drawer.layer.getSymmetrySpec();
+		Object.assign(mark, drawer.layer.getClipRadii());
+		drawSymmetricMark(drawer.target, mark);
+		drawer.history.record(mark, source);
+	}
+}
+
+// --- Color Mapping ---
+// How drawers choose a segment's color from their palette:
+//   "time"   - cycle through the palette as colorInterpolation advances (the original behavior)
+//   "radial" - bands by distance from the center
+//   "angle"  - position within the symmetry wedge
+//   "speed"  - stroke speed (segment length), slow to fast
+//   "hue"    - continuous HSB hue cycling, ignoring the palette
+// The spatial modes ("radial", "angle", "speed") ignore the color rate.
+let colorMappingMode = "time";
+let colorModeSelect;
+
+/**
+ * The env KaleidoscopeCore patterns run on in the sketch: p5's seeded
+ * random() and noise(), and the live drawRadius, resolution scale, symmetry and color mode.
+ */
+const coreEnv = {
+	random: (...args) => random(...args),
+	noise: (...args) => noise(...args),
+	get drawRadius() {
+		return drawRadius;
+	},
+	get scale() {
+		return canvasSize / KaleidoscopeCore.REFERENCE_SIZE;
+	},
+	get symmetry() {
+		return symmetry;
+	},
+	get colorMode() {
+		return colorMappingMode;
+	},
+};
+
+// p5.Color from KaleidoscopeCore color levels [r, g, b, a] (0-255)
+function levelsToColor([r, g, b, a]) {
+	return color(`rgba(${r}, ${g}, ${b}, ${a / 255})`);
+}
+
+/**
+ * Color of the segment (x1, y1) -> (x2, y2) for the active color mapping mode,
+ * as a p5.Color (see KaleidoscopeCore.segmentColor()).
+ * `drawer` supplies palette (core color levels) and colorInterpolation (callers
+ * advance the latter once per frame); `offset` shifts time-based colors, e.g. per layer.
+ * Spatial modes use the env of the drawer's layer, so ring zones map colors to their own ring.
+ */
+function segmentColor(drawer, x1, y1, x2, y2, offset = 0) {
+	return levelsToColor(
+		KaleidoscopeCore.segmentColor(
+			drawer.layer ? drawer.layer.env : coreEnv,
+			drawer.palette,
+			drawer.colorInterpolation + offset,
+			x1,
+			y1,
+			x2,
+			y2
+		)
+	);
+}
+
+/**
+ * Class: StrokeHistory
+ * Records every segment a layer's drawer emits so the layer can be rebuilt from scratch.
+ * Segments are grouped into actions (one mouse gesture, or a chunk of auto-draw time),
+ * which are the units that undo/redo step through.
+ * To bound memory and rebuild time, the oldest actions are flattened into the base
+ * image once there are more than MAX_ACTIONS of them or MAX_SEGMENTS segments.
+ */
+class StrokeHistory {
+	static MAX_ACTIONS = 100; // Undo depth
+	static MAX_SEGMENTS = 100000; // Recorded segments kept as vectors (SVG export, rescaling)
+
+	constructor(target, autoChunkFrames = 120) {
+		this.target = target; // Graphics buffer the segments are replayed onto
+		this.actions = []; // Committed actions, oldest first
+		this.redoStack = []; // Undone actions, most recently undone last
+		this.currentAction = null; // Action that new segments are appended to
+		this.base = null; // Canvas restored from a saved session, drawn under the strokes
+		this.changes = 0; // Counts edits, so autosave can tell when something changed
+		this.segmentCount = 0; // Segments in this.actions
+		// Number of auto-draw frames per undo step (~2 seconds at 60fps).
+		// Counted in frames because some drawers emit many segments per frame.
+		this.autoChunkFrames = autoChunkFrames;
 	}
 
 	/**
-	 * Helper method to create wave instances from a config array.
-	 * Each config object should have: { radius, freq, phase?, phaseInc?, mode? }
+	 * Record a segment. `segment` holds { x1, y1, x2, y2, color, weight, symmetry, radius, innerRadius },
+	 * with coordinates relative to the canvas center; symmetry is a getSymmetrySpec() object and
+	 * radius / innerRadius describe the clip ring. Brush marks other than lines also carry
+	 * `mark` (and ribbons `nibAngle`), see drawSymmetricMark().
+	 * `source` is "mouse" or "auto".
 	 */
-	_createWavesFromConfig(configs) {
-		return configs.map((cfg) => {
-			const radius = cfg.radius !== undefined ? cfg.radius : drawRadius * 0.4;
-			const freq = cfg.freq !== undefined ? cfg.freq : 1.0;
-			const phase = cfg.phase !== undefined ? cfg.phase : random(0, TWO_PI);
-			const phaseInc =
-				cfg.phaseInc !== undefined ? cfg.phaseInc : random(0.0005, 0.005);
-			const mode = cfg.mode !== undefined ? cfg.mode : "sin";
-			return new SinusoidalDrawer.SinusoidalWave(
-				radius,
-				freq,
-				phase,
-				phaseInc,
-				mode
-			);
-		});
+	record(segment, source) {
+		let action = this.currentAction;
+		if (
+			!action ||
+			action.source !== source ||
+			(source === "auto" &&
+				frameCount - action.startFrame >= this.autoChunkFrames)
+		) {
+			action = { source: source, startFrame: frameCount, segments: [] };
+			this.actions.push(action);
+			this.currentAction = action;
+			// New drawing invalidates anything that was undone
+			this.redoStack = [];
+			this._trim();
+		}
+		action.segments.push(segment);
+		this.segmentCount++;
+		this.changes++;
 	}
 
-	// Update the position based on the sum of sine/cosine waves
-	update() {
-		// If auto-draw is paused, do not advance the state
-		if (autoPaused) return;
-		// Store the old position
-		this.prevPos.set(this.pos);
-
-		// Calculate new x and y by summing all wave contributions
-		let x = 0;
-		for (let wave of this.xWaves) {
-			x += wave.value(this.t);
+	// Flatten the oldest actions into the base image while over the limits.
+	// Trims to three quarters of the segment limit so this doesn't run on every action.
+	_trim() {
+		let { MAX_ACTIONS, MAX_SEGMENTS } = StrokeHistory;
+		if (this.actions.length <= MAX_ACTIONS && this.segmentCount <= MAX_SEGMENTS) return;
+		let count = 0;
+		let segments = this.segmentCount;
+		// Never the newest action, which is being recorded into
+		while (count < this.actions.length - 1) {
+			if (this.actions.length - count <= MAX_ACTIONS && segments <= MAX_SEGMENTS * 0.75) break;
+			segments -= this.actions[count].segments.length;
+			count++;
 		}
+		if (count === 0) return;
+		let flattened = this.actions.splice(0, count);
+		this.segmentCount = segments;
+
+		// Draw the base and the flattened actions on a scratch buffer, then keep its pixels
+		let g = createGraphics(this.target.width, this.target.height);
+		g.pixelDensity(1);
+		g.angleMode(DEGREES);
+		g.colorMode(HSB, 360, 100, 100);
+		if (this.base) g.drawingContext.drawImage(this.base, 0, 0, g.width, g.height);
+		this.replay(flattened, g);
+		let base = document.createElement("canvas");
+		base.width = g.width;
+		base.height = g.height;
+		base.getContext("2d").drawImage(g.elt, 0, 0);
+		g.remove();
+		this.base = base;
+	}
+
+	// Close the current action so the next segment starts a new undo step
+	endAction() {
+		this.currentAction = null;
+	}
+
+	canUndo() {
+		return this.actions.length > 0;
+	}
+
+	canRedo() {
+		return this.redoStack.length > 0;
+	}
+
+	// Remove the last action and rebuild the layer without it
+	undo() {
+		if (!this.canUndo()) return;
+		this.endAction();
+		let action = this.actions.pop();
+		this.segmentCount -= action.segments.length;
+		this.redoStack.push(action);
+		this.changes++;
+		this.rebuild();
+	}
+
+	// Re-apply the last undone action on top of the current layer
+	redo() {
+		if (!this.canRedo()) return;
+		this.endAction();
+		let action = this.redoStack.pop();
+		this.actions.push(action);
+		this.segmentCount += action.segments.length;
+		this.changes++;
+		this.replay([action]);
+	}
+
+	// Forget everything (used when the layer is cleared)
+	clear() {
+		this.actions = [];
+		this.redoStack = [];
+		this.currentAction = null;
+		this.base = null;
+		this.segmentCount = 0;
+		this.changes++;
+	}
+
+	// Start over from a saved image of the layer; undo never goes below it
+	setBase(image) {
+		this.clear();
+		this.base = image;
+		this.rebuild();
+	}
 
-		let y = 0;
-		for (let wave of this.yWaves) {
-			y += wave.value(this.t);
+	// Paint an image (e.g. a baked image wedge) into the base, under the recorded strokes
+	paintBase(image) {
+		let base = document.createElement("canvas");
+		base.width = this.target.width;
+		base.height = this.target.height;
+		let ctx = base.getContext("2d");
+		if (this.base) ctx.drawImage(this.base, 0, 0, base.width, base.height);
+		ctx.drawImage(image, 0, 0, base.width, base.height);
+		this.base = base;
+		this.changes++;
+		this.rebuild();
+	}
+
+	// Scale every recorded segment, undone ones included, by `factor` (after the canvas is resized)
+	rescale(factor) {
+		for (let action of this.actions.concat(this.redoStack)) {
+			for (let seg of action.segments) {
+				for (let key of ["x1", "y1", "x2", "y2", "weight", "radius", "innerRadius"]) {
+					if (seg[key] !== undefined) seg[key] *= factor;
+				}
+			}
 		}
+	}
 
-		this.pos.set(x, y);
+	// Iterate over every recorded segment in drawing order
+	*segments() {
+		for (let action of this.actions) {
+			yield* action.segments;
+		}
+	}
 
-		// Increment time
-		this.t += this.tIncrement;
+	// Wipe the target buffer and redraw the base image and every recorded segment
+	rebuild() {
+		this.target.clear();
+		if (this.base) {
+			let ctx = this.target.drawingContext;
+			ctx.save();
+			ctx.setTransform(1, 0, 0, 1, 0, 0);
+			ctx.drawImage(this.base, 0, 0, this.target.width, this.target.height);
+			ctx.restore();
+		}
+		this.replay(this.actions);
+	}
 
-		// Increment individual wave phases so things slowly drift
-		for (let wave of this.xWaves) {
-			wave.incrementPhase();
+	// Draw the given actions onto the target (or `g`), clipped to each segment's vinyl clip ring
+	replay(actions, g = this.target) {
+		let ctx = g.drawingContext;
+		g.push();
+		g.resetMatrix();
+		g.translate(g.width / 2, g.height / 2);
+		let clipKey = null;
+		for (let action of actions) {
+			for (let seg of action.segments) {
+				let key = seg.radius + "/" + (seg.innerRadius || 0);
+				if (key !== clipKey) {
+					if (clipKey !== null) ctx.restore();
+					ctx.save();
+					clipToRing(ctx, seg.radius, seg.innerRadius || 0);
+					clipKey = key;
+				}
+				drawSymmetricMark(g, seg);
+			}
 		}
-		for (let wave of this.yWaves) {
-			wave.incrementPhase();
+		if (clipKey !== null) ctx.restore();
+		g.pop();
+	}
+}
+
+/**
+ * Class: SvgExporter
+ * Builds a vector version of the artwork from the layers' stroke histories:
+ * the vinyl background, the circular clip and every mirrored / rotated line
+ * or brush mark.
+ * Each visible layer becomes a group carrying its opacity and blend mode.
+ * The lines are written by KaleidoscopeCore.SvgRenderer, the same as the CLI's;
+ * only the vinyl, the clip rings and the brush marks are added here.
+ */
+class SvgExporter {
+	constructor(layers, background) {
+		this.layers = layers; // Bottom to top; each has history, visible, opacity, blendMode
+		this.background = background;
+		this.precision = 2; // Decimal places kept for coordinates
+	}
+
+	// Convert a p5.Color (or anything color() accepts) to an SVG hex string + opacity
+	static colorAttrs(c, prefix) {
+		let levels = color(c).levels;
+		let attrs = `${prefix}="${SvgExporter.hexColor(c)}"`;
+		if (levels[3] < 255) {
+			attrs += ` ${prefix}-opacity="${nf(levels[3] / 255, 0, 3)}"`;
 		}
+		return attrs;
 	}
 
-	// Draw the line from the previous position to the new position
-	draw() {
-		this.update(); // Update the position first
+	// "#rrggbb" for a p5.Color (alpha dropped)
+	static hexColor(c) {
+		return (
+			"#" +
+			color(c)
+				.levels.slice(0, 3)
+				.map((v) => v.toString(16).padStart(2, "0"))
+				.join("")
+		);
+	}
 
-		// Don't draw on the very first frame, just set the prevPos
-		if (this.t <= this.tIncrement) {
-			this.prevPos.set(this.pos);
-			return;
+	// SVG element for a non-line brush mark with all its symmetric copies
+	_markElement(mark, gradientIds) {
+		let center = this.background.canvasWidth / 2;
+		let place = (x, y, [a, b, c, d]) => ({
+			x: a * x + c * y + center,
+			y: b * x + d * y + center,
+		});
+		let transforms = mark.symmetry.transforms;
+
+		if (mark.mark === "ribbon") {
+			let corners = Brush.ribbonCorners(mark);
+			let d = transforms.map(
+				(t) =>
+					corners
+						.map((pt, idx) => {
+							let p = place(pt.x, pt.y, t);
+							return (idx === 0 ? "M" : "L") + this._num(p.x) + " " + this._num(p.y);
+						})
+						.join("") + "Z"
+			);
+			return `<path d="${d.join("")}" ${SvgExporter.colorAttrs(mark.color, "fill")}/>`;
 		}
 
-		// --- Calculate Color (copied from MouseDrawer) ---
-		this.colorInterpolation += this.colorInterpolationSpeed;
-		let t_color = this.colorInterpolation % this.palette.length;
-		let color1Index = floor(t_color);
-		let color2Index = (color1Index + 1) % this.palette.length;
-		let interpolationFactor = t_color - color1Index;
-		let color1 = this.palette[color1Index];
-		let color2 = this.palette[color2Index];
-		let currentColor = lerpColor(color1, color2, interpolationFactor);
-		// --- End Color Calculation ---
+		// Dots and airbrush dabs: one circle per copy
+		let fill =
+			mark.mark === "airbrush"
+				? `fill="url(#${gradientIds.get(SvgExporter.colorAttrs(mark.color, "fill"))})"`
+				: SvgExporter.colorAttrs(mark.color, "fill");
+		let r = this._num(mark.weight / 2);
+		let circles = transforms.map((t) => {
+			let p = place(mark.x1, mark.y1, t);
+			return `<circle cx="${this._num(p.x)}" cy="${this._num(p.y)}" r="${r}"/>`;
+		});
+		return `<g ${fill}>${circles.join("")}</g>`;
+	}
+
+	_num(v) {
+		return Number(v.toFixed(this.precision)).toString();
+	}
+
+	// Path data for a circle (or a ring when innerRadius > 0) around the center
+	_ringPathData(center, radius, innerRadius) {
+		let circlePath = (r) =>
+			`M${this._num(center - r)} ${center}` +
+			`A${this._num(r)} ${this._num(r)} 0 1 0 ${this._num(center + r)} ${center}` +
+			`A${this._num(r)} ${this._num(r)} 0 1 0 ${this._num(center - r)} ${center}Z`;
+		return circlePath(radius) + (innerRadius > 0 ? circlePath(innerRadius) : "");
+	}
+
+	// Build the full SVG document as an array of lines
+	build() {
+		let size = this.background.canvasWidth;
+		let center = size / 2;
+		let lines = [
+			'<?xml version="1.0" encoding="UTF-8"?>',
+			`<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">`,
+		];
 
-		// The kaleidoscope drawing loop
-		for (let i = 0; i < symmetry; i++) {
-			rotate(angle);
+		// Vinyl background (matches VinylBackground.draw())
+		lines.push(...this.background.svgElements((v) => this._num(v)));
+
+		// One clip path per vinyl clip ring used while drawing
+		let layers = this.layers.filter((layer) => layer.visible);
+		let clipKey = (seg) => seg.radius + "/" + (seg.innerRadius || 0);
+		let clipIds = new Map();
+		let gradientIds = new Map();
+		lines.push("<defs>");
+		for (let seg of layers.flatMap((layer) => [...layer.history.segments()])) {
+			let key = clipKey(seg);
+			if (!clipIds.has(key)) {
+				let id = `vinyl-clip-${clipIds.size}`;
+				clipIds.set(key, id);
+				lines.push(
+					`<clipPath id="${id}"><path clip-rule="evenodd" d="${this._ringPathData(center, seg.radius, seg.innerRadius || 0)}"/></clipPath>`
+				);
+			}
 
-			stroke(currentColor);
-			// Use the live stroke weight from the slider if available
-			strokeWeight(strokeWeightSlider ? strokeWeightSlider.value() : 1.5);
-			line(this.pos.x, this.pos.y, this.prevPos.x, this.prevPos.y);
+			// One soft radial gradient per airbrush color (matches drawSymmetricMark())
+			if (seg.mark !== "airbrush") continue;
+			let fill = SvgExporter.colorAttrs(seg.color, "fill");
+			if (gradientIds.has(fill)) continue;
+			let id = `airbrush-${gradientIds.size}`;
+			gradientIds.set(fill, id);
+			let hex = SvgExporter.hexColor(seg.color);
+			let alpha = (color(seg.color).levels[3] / 255) * Brush.AIRBRUSH_FLOW;
+			lines.push(
+				`<radialGradient id="${id}"><stop offset="0" stop-color="${hex}" stop-opacity="${nf(alpha, 0, 3)}"/>` +
+					`<stop offset="1" stop-color="${hex}" stop-opacity="0"/></radialGradient>`
+			);
+		}
+		lines.push("</defs>");
 
-			// Draw the reflected line
-			push();
-			scale(1, -1);
-			line(this.pos.x, this.pos.y, this.prevPos.x, this.prevPos.y);
-			pop();
+		// Kaleidoscope lines, one group per layer, then grouped by clip
+		// so consecutive strokes share one <g>
+		let strokes = new KaleidoscopeCore.SvgRenderer();
+		strokes.startStrokes(lines, center);
+		for (let layer of layers) {
+			let blend = Layer.BLEND_MODES[layer.blendMode].css;
+			lines.push(
+				`<g opacity="${this._num(layer.opacity)}" style="mix-blend-mode:${blend}">`
+			);
+			// Artwork restored from a saved session only exists as pixels
+			if (layer.history.base) {
+				lines.push(
+					`<image href="${layer.history.base.toDataURL()}" width="${size}" height="${size}"/>`
+				);
+			}
+			let openClip = null;
+			for (let seg of layer.history.segments()) {
+				let id = clipIds.get(clipKey(seg));
+				if (id !== openClip) {
+					strokes.flushStrokes();
+					if (openClip !== null) lines.push("</g>");
+					lines.push(
+						`<g clip-path="url(#${id})" fill="none" stroke-linecap="round" stroke-linejoin="round">`
+					);
+					openClip = id;
+				}
+				// Brush marks that aren't lines (dots, ribbons, airbrush dabs) stand alone
+				if (seg.mark) {
+					strokes.flushStrokes();
+					lines.push(this._markElement(seg, gradientIds));
+				} else {
+					strokes.addSegment(
+						{ x1: seg.x1, y1: seg.y1, x2: seg.x2, y2: seg.y2, color: color(seg.color).levels, weight: seg.weight },
+						seg.symmetry.transforms
+					);
+				}
+			}
+			strokes.flushStrokes();
+			if (openClip !== null) lines.push("</g>");
+			lines.push("</g>");
 		}
+
+		lines.push("</svg>");
+		return lines;
 	}
 }
 
-// --- Main p5.js Functions ---
+/**
+ * Class: ZipWriter
+ * Minimal ZIP archive builder (store method, no compression).
+ * Good enough for already-compressed files such as PNG frames.
+ */
+class ZipWriter {
+	constructor() {
+		this.entries = []; // { name, data: Uint8Array, crc }
+	}
 
-function setup() {
-	// Create buttons *before* the canvas to place them on top
-	let btnMouse = createButton("Mouse Draw");
-	btnMouse.mousePressed(setMouseDrawer);
+	static crcTable() {
+		if (!ZipWriter._crcTable) {
+			let table = new Uint32Array(256);
+			for (let n = 0; n < 256; n++) {
+				let c = n;
+				for (let k = 0; k < 8; k++) {
+					c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+				}
+				table[n] = c >>> 0;
+			}
+			ZipWriter._crcTable = table;
+		}
+		return ZipWriter._crcTable;
+	}
 
-	let btnAuto = createButton("Auto Draw");
-	btnAuto.mousePressed(setAutoDrawer);
+	static crc32(data) {
+		let table = ZipWriter.crcTable();
+		let crc = 0xffffffff;
+		for (let i = 0; i < data.length; i++) {
+			crc = table[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+		}
+		return (crc ^ 0xffffffff) >>> 0;
+	}
 
-	// Create Pause/Play button for auto draw
-	autoPauseButton = createButton("Pause Auto");
-	autoPauseButton.mousePressed(toggleAutoPause);
+	// Add a file; data is a Uint8Array (strings are UTF-8 encoded)
+	addFile(name, data) {
+		if (typeof data === "string") data = new TextEncoder().encode(data);
+		this.entries.push({ name: name, data: data, crc: ZipWriter.crc32(data) });
+	}
 
-	// Create Clear button
-	let btnClear = createButton("Clear");
-	btnClear.mousePressed(clearCanvas);
+	// Build the archive as a Blob
+	toBlob() {
+		let parts = [];
+		let central = [];
+		let offset = 0;
+		let encoder = new TextEncoder();
+
+		for (let entry of this.entries) {
+			let name = encoder.encode(entry.name);
+			let local = new DataView(new ArrayBuffer(30));
+			local.setUint32(0, 0x04034b50, true); // Local file header signature
+			local.setUint16(4, 20, true); // Version needed
+			local.setUint16(6, 0x0800, true); // Flags: UTF-8 names
+			local.setUint16(8, 0, true); // Method: store
+			local.setUint16(10, 0, true); // Time
+			local.setUint16(12, 0x21, true); // Date (1980-01-01)
+			local.setUint32(14, entry.crc, true);
+			local.setUint32(18, entry.data.length, true);
+			local.setUint32(22, entry.data.length, true);
+			local.setUint16(26, name.length, true);
+			local.setUint16(28, 0, true);
+			parts.push(local.buffer, name, entry.data);
+
+			let header = new DataView(new ArrayBuffer(46));
+			header.setUint32(0, 0x02014b50, true); // Central directory signature
+			header.setUint16(4, 20, true); // Version made by
+			header.setUint16(6, 20, true); // Version needed
+			header.setUint16(8, 0x0800, true);
+			header.setUint16(10, 0, true);
+			header.setUint16(12, 0, true);
+			header.setUint16(14, 0x21, true);
+			header.setUint32(16, entry.crc, true);
+			header.setUint32(20, entry.data.length, true);
+			header.setUint32(24, entry.data.length, true);
+			header.setUint16(28, name.length, true);
+			header.setUint32(42, offset, true); // Local header offset
+			central.push(header.buffer, name);
+
+			offset += 30 + name.length + entry.data.length;
+		}
+
+		let centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+		let end = new DataView(new ArrayBuffer(22));
+		end.setUint32(0, 0x06054b50, true); // End of central directory signature
+		end.setUint16(8, this.entries.length, true);
+		end.setUint16(10, this.entries.length, true);
+		end.setUint32(12, centralSize, true);
+		end.setUint32(16, offset, true);
+
+		return new Blob(parts.concat(central, [end.buffer]), {
+			type: "application/zip",
+		});
+	}
+}
+
+/**
+ * Class: ZipReader
+ * Reads the files back out of a zip archive written by ZipWriter (or any
+ * archive whose entries are stored uncompressed), e.g. an imported gallery.
+ */
+class ZipReader {
+	// `buffer` is the archive as an ArrayBuffer
+	constructor(buffer) {
+		this.view = new DataView(buffer);
+		this.bytes = new Uint8Array(buffer);
+		this.files = this._readEntries(); // name -> Uint8Array
+	}
+
+	// Contents of a file, or null if the archive doesn't have it
+	getFile(name) {
+		return this.files.get(name) || null;
+	}
+
+	getText(name) {
+		let data = this.getFile(name);
+		return data ? new TextDecoder().decode(data) : null;
+	}
+
+	// Walk the central directory, found through the end of central directory record
+	_readEntries() {
+		let view = this.view;
+		let end = -1;
+		for (let i = this.bytes.length - 22; i >= 0; i--) {
+			if (view.getUint32(i, true) === 0x06054b50) {
+				end = i;
+				break;
+			}
+		}
+		if (end < 0) throw new Error("Not a zip archive");
+
+		let files = new Map();
+		let decoder = new TextDecoder();
+		let count = view.getUint16(end + 10, true);
+		let offset = view.getUint32(end + 16, true);
+		for (let i = 0; i < count; i++) {
+			if (view.getUint32(offset, true) !== 0x02014b50) throw new Error("Broken zip archive");
+			let method = view.getUint16(offset + 10, true);
+			let size = view.getUint32(offset + 20, true);
+			let nameLength = view.getUint16(offset + 28, true);
+			let extraLength = view.getUint16(offset + 30, true);
+			let commentLength = view.getUint16(offset + 32, true);
+			let localOffset = view.getUint32(offset + 42, true);
+			let name = decoder.decode(this.bytes.subarray(offset + 46, offset + 46 + nameLength));
+			if (method !== 0) throw new Error(`"${name}" is compressed; only stored entries are supported`);
+
+			// The data follows the local header, whose name and extra field can differ in length
+			let dataStart =
+				localOffset +
+				30 +
+				view.getUint16(localOffset + 26, true) +
+				view.getUint16(localOffset + 28, true);
+			files.set(name, this.bytes.slice(dataStart, dataStart + size));
+			offset += 46 + nameLength + extraLength + commentLength;
+		}
+		return files;
+	}
+}
+
+/**
+ * Class: CanvasRecorder
+ * Records the main canvas while draw() runs, either as a WebM video
+ * (captureStream + MediaRecorder) or as a zip of numbered PNG frames.
+ * Frames are first scaled down to the chosen output size, since
+ * recording the 4000x4000 canvas directly is too heavy.
+ */
+class CanvasRecorder {
+	// PNG frames are held in memory until the zip is built; this also keeps
+	// well under the zip format's 65535 entries
+	static MAX_PNG_FRAMES = 1800;
+
+	constructor(sourceCanvas) {
+		this.sourceCanvas = sourceCanvas; // Main canvas element
+		this.recording = false;
+		this.paused = false;
+		this.frameCount = 0;
+	}
+
+	/**
+	 * Start a recording. Options:
+	 *   - format: "webm" or "png"
+	 *   - size: output width/height in pixels
+	 *   - fps: frames per second to capture
+	 */
+	start({ format = "webm", size = 1080, fps = 30 } = {}) {
+		if (this.recording) return;
+		this.format = format;
+		this.fps = fps;
+		this.frameCount = 0;
+		this.lastCaptureTime = -Infinity;
+		this.paused = false;
+
+		this.frameCanvas = document.createElement("canvas");
+		this.frameCanvas.width = size;
+		this.frameCanvas.height = size;
+		this.frameContext = this.frameCanvas.getContext("2d");
+
+		if (format === "webm") {
+			// captureStream(0) only emits a frame when we call requestFrame()
+			this.stream = this.frameCanvas.captureStream(0);
+			this.track = this.stream.getVideoTracks()[0];
+			let mimeType = MediaRecorder.isTypeSupported("video/webm;codecs=vp9")
+				? "video/webm;codecs=vp9"
+				: "video/webm";
+			this.chunks = [];
+			this.mediaRecorder = new MediaRecorder(this.stream, { mimeType: mimeType });
+			this.mediaRecorder.ondataavailable = (e) => {
+				if (e.data.size > 0) this.chunks.push(e.data);
+			};
+			this.mediaRecorder.start();
+		} else {
+			this.zip = new ZipWriter();
+			this.pendingFrames = []; // PNG encodes still in flight
+		}
+		this.recording = true;
+	}
+
+	/**
+	 * Called at the end of every draw(). `drawingPaused` is true while
+	 * the active drawer is paused; those frames are skipped (and the
+	 * MediaRecorder paused) so the output continues seamlessly on resume.
+	 */
+	captureFrame(drawingPaused) {
+		if (!this.recording) return;
+
+		if (drawingPaused !== this.paused) {
+			this.paused = drawingPaused;
+			if (this.mediaRecorder) {
+				if (drawingPaused) this.mediaRecorder.pause();
+				else this.mediaRecorder.resume();
+			}
+		}
+		if (this.paused) return;
+
+		// Honor the chosen frame rate regardless of the sketch's frame rate
+		let now = millis();
+		if (now - this.lastCaptureTime < 1000 / this.fps) return;
+		this.lastCaptureTime = now;
+
+		let size = this.frameCanvas.width;
+		this.frameContext.drawImage(
+			this.sourceCanvas,
+			0,
+			0,
+			this.sourceCanvas.width,
+			this.sourceCanvas.height,
+			0,
+			0,
+			size,
+			size
+		);
+
+		if (this.format === "webm") {
+			this.track.requestFrame();
+		} else {
+			let name = "frame-" + nf(this.frameCount, 5) + ".png";
+			this.pendingFrames.push(this._encodeFrame(name));
+		}
+		this.frameCount++;
+	}
+
+	// Whether a PNG recording holds as many frames as it may
+	isFull() {
+		return this.format === "png" && this.frameCount >= CanvasRecorder.MAX_PNG_FRAMES;
+	}
+
+	// Encode the current frame canvas as PNG and add it to the zip
+	_encodeFrame(name) {
+		return new Promise((resolve, reject) => {
+			this.frameCanvas.toBlob((blob) => {
+				// toBlob passes null when the canvas can't be encoded (e.g. out of memory)
+				if (!blob) {
+					reject(new Error(name + " could not be encoded"));
+					return;
+				}
+				blob.arrayBuffer().then((buffer) => {
+					this.zip.addFile(name, new Uint8Array(buffer));
+					resolve();
+				}, reject);
+			}, "image/png");
+		});
+	}
+
+	// Stop recording and download the result. Resolves with the number of frames
+	// once the file is downloaded, or rejects if it couldn't be built.
+	stop() {
+		if (!this.recording) return Promise.resolve(this.frameCount);
+		this.recording = false;
+
+		if (this.format === "webm") {
+			return new Promise((resolve) => {
+				this.mediaRecorder.onstop = () => {
+					let blob = new Blob(this.chunks, { type: "video/webm" });
+					downloadBlob(blob, "kaleidoscope-recording.webm");
+					this.stream.getTracks().forEach((t) => t.stop());
+					resolve(this.frameCount);
+				};
+				this.mediaRecorder.stop();
+			});
+		}
+		return Promise.all(this.pendingFrames).then(() => {
+			// Frames may finish encoding out of order; sort by name
+			this.zip.entries.sort((a, b) => (a.name < b.name ? -1 : 1));
+			downloadBlob(this.zip.toBlob(), "kaleidoscope-frames.zip");
+			return this.frameCount;
+		});
+	}
+}
+
+/**
+ * Class: PrintExporter
+ * Lays the artwork out to real pressing-plant specs (jackets, sleeves, labels)
+ * and writes PNGs with the right pixel size and DPI metadata.
+ * The vinyl (or its center label) is sized from VinylBackground so it prints
+ * at its physical diameter; everything outside the canvas is filled with
+ * the background color, which also covers the bleed.
+ */
+class PrintExporter {
+	/**
+	 * Presets, all sizes in inches:
+	 *   - trim: finished size (square sleeves / jackets, or label diameter)
+	 *   - bleed: extra artwork past the trim
+	 *   - cropMarks: draw crop marks in a slug area around the bleed
+	 *   - dieLine: draw the circular die line (and spindle hole) at the trim
+	 *   - source: "disc" places the whole vinyl, "label" only its center label
+	 *   - diameter: printed diameter of the source circle
+	 *   - spindle: spindle hole diameter for label die lines
+	 */
+	static PRESETS = {
+		"12in-jacket": {
+			name: '12" LP jacket',
+			trim: 12.375,
+			bleed: 0.125,
+			cropMarks: true,
+			source: "disc",
+			diameter: 11.75,
+		},
+		"7in-sleeve": {
+			name: '7" sleeve',
+			trim: 7.25,
+			bleed: 0.125,
+			cropMarks: true,
+			source: "disc",
+			diameter: 6.875,
+		},
+		"12in-label": {
+			name: '12" center label',
+			trim: 4,
+			bleed: 0.125,
+			dieLine: true,
+			source: "label",
+			diameter: 4,
+			spindle: 0.286,
+		},
+		"7in-label": {
+			name: '7" center label',
+			trim: 3.5,
+			bleed: 0.125,
+			dieLine: true,
+			source: "label",
+			diameter: 3.5,
+			spindle: 0.286,
+		},
+	};
+
+	static CROP_MARK_LENGTH = 0.25; // Inches
+
+	constructor(sourceCanvas, background, dpi = 300) {
+		this.sourceCanvas = sourceCanvas; // Main canvas element
+		this.background = background;
+		this.dpi = dpi;
+	}
+
+	// Output size in pixels for a preset (trim + bleed + crop mark slug)
+	getPixelSize(preset) {
+		let slug = preset.cropMarks ? PrintExporter.CROP_MARK_LENGTH : 0;
+		return round((preset.trim + 2 * (preset.bleed + slug)) * this.dpi);
+	}
+
+	// Render a preset to a new canvas element
+	render(preset) {
+		let dpi = this.dpi;
+		let size = this.getPixelSize(preset);
+		let center = size / 2;
+		let out = document.createElement("canvas");
+		out.width = size;
+		out.height = size;
+		let ctx = out.getContext("2d");
+
+		// Background everywhere first (covers bleed beyond the canvas edges)
+		let bg = color(this.background.bgColor).levels;
+		ctx.fillStyle = `rgb(${bg[0]}, ${bg[1]}, ${bg[2]})`;
+		ctx.fillRect(0, 0, size, size);
+
+		// Scale so the source circle prints at the preset diameter
+		let sourceRadius =
+			preset.source === "label"
+				? this.background.labelRadius
+				: this.background.getDrawRadius();
+		let scale = (preset.diameter * dpi) / (sourceRadius * 2);
+		let drawSize = this.background.canvasWidth * scale;
+
+		ctx.save();
+		if (preset.source === "label") {
+			// Labels are round: only the label plus bleed carries artwork
+			ctx.fillStyle = "#ffffff";
+			ctx.fillRect(0, 0, size, size);
+			ctx.beginPath();
+			ctx.arc(center, center, ((preset.trim / 2 + preset.bleed) * dpi), 0, Math.PI * 2);
+			ctx.clip();
+		}
+		ctx.imageSmoothingQuality = "high";
+		ctx.drawImage(
+			this.sourceCanvas,
+			0,
+			0,
+			this.sourceCanvas.width,
+			this.sourceCanvas.height,
+			center - drawSize / 2,
+			center - drawSize / 2,
+			drawSize,
+			drawSize
+		);
+		ctx.restore();
+
+		let hairline = max(1, dpi / 300);
+		if (preset.cropMarks) this._drawCropMarks(ctx, preset, size, hairline);
+		if (preset.dieLine) this._drawDieLine(ctx, preset, center, hairline);
+		return out;
+	}
+
+	// Crop marks at each trim corner, starting outside the bleed
+	_drawCropMarks(ctx, preset, size, lineWidth) {
+		let dpi = this.dpi;
+		let slug = PrintExporter.CROP_MARK_LENGTH * dpi;
+		let bleed = preset.bleed * dpi;
+		let trimStart = slug + bleed;
+		let trimEnd = size - trimStart;
+
+		ctx.strokeStyle = "#000000";
+		ctx.lineWidth = lineWidth;
+		ctx.beginPath();
+		for (let x of [trimStart, trimEnd]) {
+			// Vertical marks above and below
+			ctx.moveTo(x, 0);
+			ctx.lineTo(x, slug);
+			ctx.moveTo(x, size - slug);
+			ctx.lineTo(x, size);
+		}
+		for (let y of [trimStart, trimEnd]) {
+			// Horizontal marks left and right
+			ctx.moveTo(0, y);
+			ctx.lineTo(slug, y);
+			ctx.moveTo(size - slug, y);
+			ctx.lineTo(size, y);
+		}
+		ctx.stroke();
+	}
+
+	// Die line at the trim circle plus the spindle hole, in magenta
+	_drawDieLine(ctx, preset, center, lineWidth) {
+		ctx.strokeStyle = "#ff00ff";
+		ctx.lineWidth = lineWidth;
+		ctx.beginPath();
+		ctx.arc(center, center, (preset.trim / 2) * this.dpi, 0, Math.PI * 2);
+		ctx.stroke();
+		if (preset.spindle) {
+			ctx.beginPath();
+			ctx.arc(center, center, (preset.spindle / 2) * this.dpi, 0, Math.PI * 2);
+			ctx.stroke();
+		}
+	}
+
+	// Render a preset and download it as a PNG with DPI metadata.
+	// Resolves with the file name once the download starts.
+	export(presetKey) {
+		return new Promise((resolve, reject) => {
+			let preset = PrintExporter.PRESETS[presetKey];
+			let out = this.render(preset);
+			out.toBlob((blob) => {
+				// toBlob passes null when the canvas is too big to encode
+				if (!blob) {
+					reject(new Error(`${preset.name} could not be encoded`));
+					return;
+				}
+				blob.arrayBuffer().then((buffer) => {
+					let png = PrintExporter.setPngDpi(new Uint8Array(buffer), this.dpi);
+					let name = `kaleidoscope-${presetKey}-${this.dpi}dpi.png`;
+					downloadBlob(new Blob([png], { type: "image/png" }), name);
+					resolve(name);
+				}, reject);
+			}, "image/png");
+		});
+	}
+
+	/**
+	 * Insert a pHYs chunk right after IHDR so the PNG carries its DPI.
+	 * (Canvas PNGs don't include one.)
+	 */
+	static setPngDpi(png, dpi) {
+		let pixelsPerMeter = round(dpi / 0.0254);
+		let chunk = new Uint8Array(21);
+		let view = new DataView(chunk.buffer);
+		view.setUint32(0, 9); // Data length
+		chunk.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+		view.setUint32(8, pixelsPerMeter);
+		view.setUint32(12, pixelsPerMeter);
+		chunk[16] = 1; // Unit: meter
+		view.setUint32(17, ZipWriter.crc32(chunk.subarray(4, 17)));
+
+		// Signature (8) + IHDR chunk (4 length + 4 type + 13 data + 4 crc)
+		let ihdrEnd = 33;
+		let result = new Uint8Array(png.length + chunk.length);
+		result.set(png.subarray(0, ihdrEnd), 0);
+		result.set(chunk, ihdrEnd);
+		result.set(png.subarray(ihdrEnd), ihdrEnd + chunk.length);
+		return result;
+	}
+}
+
+/**
+ * Class: TurntablePreview
+ * Shows the finished design as a record spinning on a turntable. The composited
+ * canvas is frozen when the preview starts and redrawn rotated at the chosen RPM,
+ * with a tonearm on top and optional motion blur. Only the main canvas is drawn
+ * on; the layer buffers keep their artwork untouched.
+ */
+class TurntablePreview {
+	static SPEEDS = { "33⅓": 100 / 3, "45": 45, "78": 78 }; // Label -> revolutions per minute
+	static BLUR_SAMPLES = 8; // Copies blended across one frame's rotation for motion blur
+
+	constructor(sourceCanvas) {
+		this.sourceCanvas = sourceCanvas; // Main canvas element
+		this.active = false;
+		this.rpm = TurntablePreview.SPEEDS["33⅓"];
+		this.motionBlur = false;
+		this.angle = 0; // Current rotation in degrees
+		this.snapshot = null; // Frozen copy of the canvas while active
+	}
+
+	// Freeze the current canvas image and start spinning it. `discRadius` is the record's radius.
+	start(discRadius) {
+		this.discRadius = discRadius;
+		this.snapshot = document.createElement("canvas");
+		this.snapshot.width = this.sourceCanvas.width;
+		this.snapshot.height = this.sourceCanvas.height;
+		this.snapshot.getContext("2d").drawImage(this.sourceCanvas, 0, 0);
+		this.angle = 0;
+		this.active = true;
+	}
+
+	stop() {
+		this.active = false;
+		this.snapshot = null;
+	}
+
+	// Draw one preview frame, turning the record by the time since the last frame
+	draw(deltaMs) {
+		let step = ((this.rpm * 360) / 60000) * deltaMs; // Degrees this frame
+		let ctx = this.sourceCanvas.getContext("2d");
+		let c = this.sourceCanvas.width / 2;
+
+		ctx.save();
+		ctx.setTransform(1, 0, 0, 1, 0, 0);
+		ctx.globalCompositeOperation = "source-over";
+		// The sleeve around the record stays still
+		ctx.drawImage(this.snapshot, 0, 0);
+		ctx.beginPath();
+		ctx.arc(c, c, this.discRadius, 0, Math.PI * 2);
+		ctx.clip();
+
+		// With motion blur, average copies spread over this frame's turn.
+		// Copy i drawn at alpha 1 / i gives every copy the same weight.
+		let samples = this.motionBlur ? TurntablePreview.BLUR_SAMPLES : 1;
+		for (let i = 1; i <= samples; i++) {
+			ctx.globalAlpha = 1 / i;
+			ctx.setTransform(1, 0, 0, 1, c, c);
+			ctx.rotate(radians(this.angle + (step * i) / samples));
+			ctx.drawImage(this.snapshot, -c, -c);
+		}
+		ctx.restore();
+		this.angle = (this.angle + step) % 360;
+
+		this._drawTonearm(ctx, c);
+	}
+
+	// Tonearm pivoting beside the top-right of the record, resting in its outer grooves
+	_drawTonearm(ctx, c) {
+		let r = this.discRadius;
+		let pivot = { x: c + r * 1.05, y: c - r * 0.85 };
+		let needle = { x: c + r * 0.65, y: c + r * 0.38 };
+		let dir = Math.atan2(needle.y - pivot.y, needle.x - pivot.x);
+
+		ctx.save();
+		ctx.setTransform(1, 0, 0, 1, 0, 0);
+		ctx.shadowColor = "rgba(0, 0, 0, 0.45)";
+		ctx.shadowBlur = r * 0.03;
+		ctx.shadowOffsetX = r * 0.015;
+		ctx.shadowOffsetY = r * 0.015;
+
+		// Arm tube
+		ctx.strokeStyle = "#c9c9c9";
+		ctx.lineWidth = r * 0.022;
+		ctx.lineCap = "round";
+		ctx.beginPath();
+		ctx.moveTo(pivot.x, pivot.y);
+		ctx.lineTo(needle.x, needle.y);
+		ctx.stroke();
+
+		// Pivot base
+		ctx.fillStyle = "#8a8a8a";
+		ctx.beginPath();
+		ctx.arc(pivot.x, pivot.y, r * 0.09, 0, Math.PI * 2);
+		ctx.fill();
+
+		// Counterweight behind the pivot and headshell at the needle, both along the arm
+		ctx.translate(pivot.x, pivot.y);
+		ctx.rotate(dir);
+		ctx.fillStyle = "#4a4a4a";
+		ctx.fillRect(-r * 0.2, -r * 0.045, r * 0.1, r * 0.09);
+		ctx.setTransform(1, 0, 0, 1, needle.x, needle.y);
+		ctx.rotate(dir);
+		ctx.fillStyle = "#2e2e2e";
+		ctx.fillRect(-r * 0.02, -r * 0.035, r * 0.1, r * 0.07);
+		ctx.restore();
+	}
+}
+
+/**
+ * Class: RemoteControl
+ * Lets another device (e.g. a phone or tablet during a VJ set) drive the sketch
+ * over a WebSocket, through the relay server in relay.js. Messages are JSON:
+ *   { type: "set", control: "symmetry", value: 8 }   moves a slider (any name in `controls`)
+ *   { type: "action", action: "clear" }              runs an action (any name in `actions`)
+ *   { type: "subscribe" }                            asks for "state" messages from now on
+ * The sketch sends { type: "hello" } when it connects, so controllers that were
+ * already waiting can subscribe, then { type: "state", state } whenever the state
+ * changes, and { type: "error", message } for messages it can't handle.
+ * Drops are retried with a growing delay until the relay is back.
+ */
+class RemoteControl {
+	static DEFAULT_PORT = 8080; // Port relay.js listens on by default
+	static RECONNECT_DELAYS = [1000, 2000, 5000, 10000]; // ms; the last one repeats
+
+	/**
+	 * `controls` maps names to p5 sliders, `actions` maps names to functions.
+	 * Sliders are set the way a user would move them, so their input handlers
+	 * (value labels, vinyl resize, ...) run as usual.
+	 */
+	constructor(url, controls, actions) {
+		this.url = url;
+		this.controls = controls;
+		this.actions = actions;
+		this.socket = null;
+		this.connected = false;
+		this.subscribed = false; // Some controller asked for state messages
+		this.lastState = null; // JSON of the last state sent, to only send changes
+		this.attempts = 0; // Reconnect attempts since the last successful connection
+		this._connect();
+	}
+
+	_connect() {
+		let socket = new WebSocket(this.url);
+		this.socket = socket;
+		socket.onopen = () => {
+			this.connected = true;
+			this.attempts = 0;
+			this.lastState = null; // Resend the full state after a reconnect
+			this.send({ type: "hello" });
+		};
+		socket.onmessage = (event) => this._handle(event.data);
+		socket.onclose = () => {
+			this.connected = false;
+			let delays = RemoteControl.RECONNECT_DELAYS;
+			let delay = delays[min(this.attempts, delays.length - 1)];
+			this.attempts++;
+			setTimeout(() => this._connect(), delay);
+		};
+		// An error is always followed by a close, which schedules the reconnect
+		socket.onerror = () => {};
+	}
+
+	send(message) {
+		if (this.connected) this.socket.send(JSON.stringify(message));
+	}
+
+	_handle(data) {
+		let message;
+		try {
+			message = JSON.parse(data);
+		} catch (err) {
+			this.send({ type: "error", message: "Messages must be JSON" });
+			return;
+		}
+
+		if (message.type === "set") {
+			let slider = Object.hasOwn(this.controls, message.control) && this.controls[message.control];
+			let value = Number(message.value);
+			if (!slider) {
+				this.send({ type: "error", message: `Unknown control "${message.control}"` });
+			} else if (isNaN(value)) {
+				this.send({ type: "error", message: `Invalid value for "${message.control}"` });
+			} else {
+				slider.value(value);
+				slider.elt.dispatchEvent(new Event("input"));
+			}
+		} else if (message.type === "action") {
+			let action = Object.hasOwn(this.actions, message.action) && this.actions[message.action];
+			if (action) action();
+			else this.send({ type: "error", message: `Unknown action "${message.action}"` });
+		} else if (message.type === "subscribe") {
+			this.subscribed = true;
+			this.lastState = null; // A new subscriber gets the full state right away
+		}
+		// Other types (e.g. state from another sketch) are for the controllers
+	}
+
+	// Called every frame: send the state to subscribers when it has changed
+	update(state) {
+		if (!this.subscribed || !this.connected) return;
+		let json = JSON.stringify({ type: "state", state: state });
+		if (json === this.lastState) return;
+		this.lastState = json;
+		this.socket.send(json);
+	}
+}
+
+/**
+ * Class: PointerInput
+ * Tracks Pointer Events on the canvas so mouse, pen and every touch finger
+ * can draw at once. Positions are converted to internal canvas coordinates
+ * from the element's on-screen box, so they stay right under the CSS scaling.
+ * Moves are queued per pointer (including coalesced events) until a drawer
+ * takes them as segments.
+ */
+class PointerInput {
+	constructor(elt) {
+		this.elt = elt;
+		this.pointers = new Map(); // pointerId -> { last, pending, up }
+		this.ended = []; // Ids of the pointers released as of the last takeSegments()
+
+		// Keep the browser from scrolling / zooming while a finger draws
+		elt.style.touchAction = "none";
+		elt.addEventListener("pointerdown", (e) => this._down(e));
+		elt.addEventListener("pointermove", (e) => this._move(e));
+		elt.addEventListener("pointerup", (e) => this._up(e));
+		elt.addEventListener("pointercancel", (e) => this._up(e));
+	}
+
+	/**
+	 * Stroke weight and opacity for a pointer sample around the slider weight.
+	 * Pen pressure 0.5 (what mice and plain touches report) gives the slider
+	 * weight at full opacity; lighter pressure thins and fades the stroke,
+	 * harder pressure thickens it. Pen tilt widens it further.
+	 */
+	static pressureStyle(sample, baseWeight) {
+		if (sample.pointerType !== "pen") return { weight: baseWeight, alpha: 1 };
+		let weight = baseWeight * lerp(0.2, 1.8, sample.pressure);
+		let tilt = constrain(sqrt(sample.tiltX ** 2 + sample.tiltY ** 2) / 90, 0, 1);
+		weight *= 1 + tilt;
+		let alpha = constrain(map(sample.pressure, 0, 0.5, 0.3, 1), 0.3, 1);
+		return { weight: weight, alpha: alpha };
+	}
+
+	// True while any pointer is pressed on the canvas
+	isDown() {
+		return this.pointers.size > 0;
+	}
+
+	/**
+	 * Take the queued movement of every pointer as [{ id, from, to }] segments
+	 * (samples with x, y, pressure, tiltX, tiltY, pointerType) and forget
+	 * pointers that have been released, listing them in `ended`.
+	 */
+	takeSegments() {
+		let segments = [];
+		this.ended = [];
+		for (let [id, pointer] of this.pointers) {
+			for (let sample of pointer.pending) {
+				segments.push({ id: id, from: pointer.last, to: sample });
+				pointer.last = sample;
+			}
+			pointer.pending = [];
+			if (pointer.up) {
+				this.pointers.delete(id);
+				this.ended.push(id);
+			}
+		}
+		return segments;
+	}
+
+	// Pointer position in internal canvas coordinates, plus pen data
+	_sample(e) {
+		let rect = this.elt.getBoundingClientRect();
+		return {
+			x: (e.clientX - rect.left) * (this.elt.width / rect.width),
+			y: (e.clientY - rect.top) * (this.elt.height / rect.height),
+			pressure: e.pressure,
+			tiltX: e.tiltX || 0,
+			tiltY: e.tiltY || 0,
+			pointerType: e.pointerType,
+		};
+	}
+
+	_down(e) {
+		if (e.pointerType === "mouse" && e.button !== 0) return; // Left button only
+		e.preventDefault();
+		// Keep receiving this pointer's moves even if it leaves the canvas
+		this.elt.setPointerCapture(e.pointerId);
+		// The first sample is also queued, so a tap leaves a dot
+		let sample = this._sample(e);
+		this.pointers.set(e.pointerId, { last: sample, pending: [sample], up: false });
+	}
+
+	_move(e) {
+		let pointer = this.pointers.get(e.pointerId);
+		if (!pointer || pointer.up) return;
+		// Coalesced events hold every sample since the last move event
+		let events = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+		for (let ev of events.length ? events : [e]) {
+			pointer.pending.push(this._sample(ev));
+		}
+	}
+
+	_up(e) {
+		let pointer = this.pointers.get(e.pointerId);
+		if (pointer) pointer.up = true; // Removed once its last moves are drawn
+	}
+}
+
+// Global pointer tracker for the canvas (created in setup)
+let pointerInput;
+
+// Class: Mouse-driven drawer (pointer-driven: mouse, pen and touch)
+class MouseDrawer {
+	constructor() {
+		// No longer needs symmetry argument
+		// this.symmetry and this.angle removed, will use global vars
+
+		// --- New Color Palette Logic ---
+		// Use the global hexPalette declared above, as KaleidoscopeCore color levels
+		this.palette = KaleidoscopeCore.parsePalette(hexPalette);
+
+		this.colorInterpolation = 0; // Tracks our position in the palette
+		this.colorInterpolationSpeed = 0.01; // How fast to cycle (lower is slower)
+		// --- End New Color Logic ---
+
+		// Assigned by the Layer that owns this drawer
+		this.layer = null; // The Layer itself (ring zone, symmetry and stroke weight)
+		this.target = null; // Graphics buffer to draw onto
+		this.history = null; // StrokeHistory to record segments into
+		this.brush = null; // Brush that styles and draws the segments
+	}
+
+	// Switch to a new palette (array of hex strings) without resetting
+	setPalette(hexes) {
+		this.palette = KaleidoscopeCore.parsePalette(hexes);
+	}
+
+	// We'll call this from the main draw() loop.
+	// Draws every segment the pointers moved along since the last frame, or the
+	// `strokes` the layer stack routed to this layer's ring zone.
+	draw(strokes = pointerInput.takeSegments()) {
+		if (strokes.length > 0) this._drawStrokes(strokes);
+
+		// Lifted pointers finish their strokes (the brush's smoothing lags behind)
+		for (let id of pointerInput.ended) this.brush.finishStroke(this, id);
+		// All pointers are up: the next touch starts a new undo step
+		if (!pointerInput.isDown()) this.history.endAction();
+	}
+
+	// Draw this frame's pointer segments through the brush
+	_drawStrokes(strokes) {
+		// --- Calculate the color ---
+		// Increment our interpolation value once per frame, then map through the active color mode
+		this.colorInterpolation += this.colorInterpolationSpeed;
+
+		// Use the layer's live stroke weight (the slider's, or its zone's)
+		let baseWeight = this.layer.getStrokeWeight();
+
+		for (let { id, from, to } of strokes) {
+			// Get pointer coordinates relative to the center
+			let lineStartX = to.x - width / 2;
+			let lineStartY = to.y - height / 2;
+			let lineEndX = from.x - width / 2;
+			let lineEndY = from.y - height / 2;
+
+			let currentColor = color(
+				segmentColor(this, lineStartX, lineStartY, lineEndX, lineEndY)
+			);
+			let { weight, alpha } = PointerInput.pressureStyle(to, baseWeight);
+			currentColor.setAlpha(alpha);
+
+			// The brush draws the kaleidoscope copies and records them;
+			// each pointer is its own stroke
+			this.brush.stroke(
+				this,
+				id,
+				lineStartX,
+				lineStartY,
+				lineEndX,
+				lineEndY,
+				currentColor,
+				weight,
+				"mouse"
+			);
+		}
+	}
+}
+
+/**
+ * Class 2: "Abstract" base class for procedural drawing.
+ * The drawing itself is a KaleidoscopeCore pattern (see core.js), which runs
+ * on coreEnv (or its layer's env in a ring zone) here and headless in Node; the drawer feeds the segments it emits
+ * to the layer's brush and holds the pattern's live settings.
+ */
+class ProceduralDrawer {
+	constructor(pattern) {
+		this.pattern = pattern;
+		// Assigned by the Layer that owns this drawer:
+		this.layer = null; // The Layer itself (ring zone, symmetry and stroke weight)
+		this.target = null; // Graphics buffer to draw onto
+		this.history = null; // StrokeHistory to record segments into
+		this.brush = null; // Brush that styles and draws the segments
+	}
+
+	// Live settings, driven by the sliders, stored on the pattern
+	get tIncrement() {
+		return this.pattern.tIncrement;
+	}
+
+	set tIncrement(value) {
+		this.pattern.tIncrement = value;
+	}
+
+	get colorInterpolationSpeed() {
+		return this.pattern.colorInterpolationSpeed;
+	}
+
+	set colorInterpolationSpeed(value) {
+		this.pattern.colorInterpolationSpeed = value;
+	}
+
+	get colorInterpolation() {
+		return this.pattern.colorInterpolation;
+	}
+
+	get palette() {
+		return this.pattern.palette;
+	}
+
+	// Use the layer's live stroke weight (the slider's, or its zone's)
+	getStrokeWeight() {
+		return this.layer.getStrokeWeight();
+	}
+
+	// Scale the pattern's positions and sizes by `factor` (after the canvas is resized)
+	rescale(factor) {
+		this.pattern.rescale(factor);
+	}
+
+	// Advance the pattern one frame and draw its segments with the brush
+	draw() {
+		// While paused, draw nothing so the pattern and color state don't drift either
+		if (autoPaused) return;
+
+		let weight = this.getStrokeWeight();
+		this.pattern.step((trail, x1, y1, x2, y2, levels) => {
+			// The brush draws the kaleidoscope copies and records them
+			this.brush.stroke(this, trail, x1, y1, x2, y2, levelsToColor(levels), weight, "auto");
+		});
+	}
+
+	// Switch to a new palette (array of hex strings) without resetting
+	setPalette(hexes) {
+		this.pattern.setPalette(hexes);
+	}
+}
+
+/**
+ * Class 3: Concrete Sinusoidal Drawer
+ * Draws patterns using sums of sin() and cos() waves (KaleidoscopeCore.SinusoidalPattern).
+ */
+class SinusoidalDrawer extends ProceduralDrawer {
+	/**
+	 * Create a new SinusoidalDrawer.
+	 * Accepts an optional options object so it can be instantiated in one line;
+	 * see KaleidoscopeCore.SinusoidalPattern for the wave options
+	 * (tIncrement, xWaves, yWaves and the legacy r1/f1/... keys).
+	 * The palette defaults to the global hexPalette. `env` is the layer's env when
+	 * the drawer runs in a ring zone (see Layer).
+	 *
+	 * Example: new SinusoidalDrawer({
+	 *   tIncrement: 0.05,
+	 *   xWaves: [{radius: 100, freq: 1.0}, {radius: 100, freq: 2.5}],
+	 *   yWaves: [{radius: 100, freq: 1.5}, {radius: 100, freq: 3.0}]
+	 * })
+	 */
+	constructor(opts = {}, env = coreEnv) {
+		super(new KaleidoscopeCore.SinusoidalPattern({ palette: hexPalette, ...opts }, env));
+	}
+
+	// The live wave instances, edited by the WaveEditor
+	get xWaves() {
+		return this.pattern.xWaves;
+	}
+
+	get yWaves() {
+		return this.pattern.yWaves;
+	}
+}
+
+/**
+ * Class 4: Audio-reactive Drawer
+ * A SinusoidalDrawer whose waves are driven by a user-chosen audio track:
+ *   - bass (and overall level) scales the wave radius
+ *   - mids speed up / slow down the wave frequencies
+ *   - highs scale the color rate and stroke weight
+ *   - beats (bass onsets) make the symmetry jump, at most once per draw() call
+ * It analyzes the track live while it plays, or offline frame by frame
+ * in "render whole track" mode so a full record can be drawn at once.
+ */
+class AudioReactiveDrawer extends SinusoidalDrawer {
+	// { sound, fft, amplitude } analyzing the loaded track, shared by its drawers
+	static analyzers = null;
+
+	// Symmetry values a beat can jump to
+	static BEAT_SYMMETRIES = [4, 6, 8, 10, 12, 16, 20, 24];
+
+	// Band limits in Hz (same as p5.FFT.getEnergy presets)
+	static BANDS = {
+		bass: [20, 140],
+		mid: [400, 2600],
+		treble: [5200, 14000],
+	};
+
+	/**
+	 * Options are the SinusoidalDrawer options plus:
+	 *   - sound: loaded p5.SoundFile to react to
+	 *   - analysisFps: analysis frames per second of audio in render mode (default 60)
+	 *   - renderStepsPerFrame: analysis frames drawn per draw() call in render mode (default 120)
+	 */
+	constructor(opts = {}, env = coreEnv) {
+		super(opts, env);
+		this.sound = opts.sound || null;
+		this.analysisFps = opts.analysisFps || 60;
+		this.renderStepsPerFrame = opts.renderStepsPerFrame || 120;
+
+		this.fft = null; // Live analyzers, shared per track (see _ensureAnalyzers)
+		this.amplitude = null;
+
+		// Current audio features, all normalized to 0-1
+		this.features = { bass: 0, mid: 0, treble: 0, level: 0 };
+		this.trebleScale = 1;
+
+		// Beat detection state (threshold with decaying cutoff, as in the p5 examples)
+		this.beatThreshold = 0.8;
+		this.beatDecay = 0.98;
+		this.beatHoldFrames = 20;
+		this.beatCutoff = 0;
+		this.framesSinceBeat = 0;
+		this.beatPending = false; // A beat was detected since the symmetry last jumped
+
+		// Offline render state
+		this.rendering = false;
+		this.renderFrame = 0;
+		this.renderFrameCount = 0;
+		this.smoothing = 0.8; // Matches the live FFT smoothing
+	}
+
+	getStrokeWeight() {
+		return super.getStrokeWeight() * this.trebleScale;
+	}
+
+	draw() {
+		if (!this.sound) return;
+
+		if (this.rendering) {
+			this._drawRenderFrames();
+		} else if (this.sound.isPlaying()) {
+			// Live mode only draws while the track is playing
+			this._ensureAnalyzers();
+			this._drawStep(this._liveFeatures());
+		}
+		this._applyBeat();
+	}
+
+	// Start drawing the whole track offline, independent of playback
+	startRender() {
+		if (!this.sound || !this.sound.buffer) return;
+		this.rendering = true;
+		this.renderFrame = 0;
+		this.renderFrameCount = floor(this.sound.duration() * this.analysisFps);
+		this.features = { bass: 0, mid: 0, treble: 0, level: 0 };
+	}
+
+	// Fraction of the track drawn so far in render mode (0-1)
+	getRenderProgress() {
+		if (!this.renderFrameCount) return 0;
+		return this.renderFrame / this.renderFrameCount;
+	}
+
+	_drawRenderFrames() {
+		if (autoPaused) return;
+		let baseColorRate = this.colorInterpolationSpeed;
+		let end = min(this.renderFrame + this.renderStepsPerFrame, this.renderFrameCount);
+		for (; this.renderFrame < end; this.renderFrame++) {
+			this.colorInterpolationSpeed = baseColorRate;
+			this._drawStep(this._offlineFeatures(this.renderFrame));
+		}
+		this.colorInterpolationSpeed = baseColorRate;
+		if (this.renderFrame >= this.renderFrameCount) this.rendering = false;
+	}
+
+	// Map one frame of audio features onto the drawing, then draw a segment
+	_drawStep(features) {
+		this.features = features;
+		// The pattern scales its output by radiusScale and drifts its phases by freqScale
+		this.pattern.radiusScale = 0.3 + 0.6 * features.bass + 0.4 * features.level;
+		this.pattern.freqScale = 0.5 + 1.5 * features.mid;
+		this.trebleScale = 0.5 + 1.5 * features.treble;
+		this.colorInterpolationSpeed *= 0.2 + 2 * features.treble;
+
+		if (this._detectBeat(features.bass)) this.beatPending = true;
+
+		super.draw();
+	}
+
+	// Jump the symmetry once for the beats of this draw() call: render mode runs many
+	// analysis frames per call, and each jump updates the symmetry slider
+	_applyBeat() {
+		if (!this.beatPending) return;
+		this.beatPending = false;
+		setSymmetry(random(AudioReactiveDrawer.BEAT_SYMMETRIES));
+	}
+
+	_detectBeat(bass) {
+		this.framesSinceBeat++;
+		if (
+			bass > this.beatThreshold &&
+			bass > this.beatCutoff &&
+			this.framesSinceBeat > this.beatHoldFrames
+		) {
+			this.beatCutoff = bass * 1.1;
+			this.framesSinceBeat = 0;
+			return true;
+		}
+		this.beatCutoff = max(this.beatThreshold, this.beatCutoff * this.beatDecay);
+		return false;
+	}
+
+	_ensureAnalyzers() {
+		if (this.fft) return;
+		// Every drawer for the same track shares one pair; a new track disposes the old pair
+		let shared = AudioReactiveDrawer.analyzers;
+		if (!shared || shared.sound !== this.sound) {
+			if (shared) {
+				shared.fft.dispose();
+				shared.amplitude.dispose();
+			}
+			shared = {
+				sound: this.sound,
+				fft: new p5.FFT(this.smoothing, 1024),
+				amplitude: new p5.Amplitude(),
+			};
+			shared.fft.setInput(this.sound);
+			shared.amplitude.setInput(this.sound);
+			AudioReactiveDrawer.analyzers = shared;
+		}
+		this.fft = shared.fft;
+		this.amplitude = shared.amplitude;
+	}
+
+	_liveFeatures() {
+		this.fft.analyze();
+		let bands = AudioReactiveDrawer.BANDS;
+		return {
+			bass: this.fft.getEnergy(bands.bass[0], bands.bass[1]) / 255,
+			mid: this.fft.getEnergy(bands.mid[0], bands.mid[1]) / 255,
+			treble: this.fft.getEnergy(bands.treble[0], bands.treble[1]) / 255,
+			level: min(1, this.amplitude.getLevel() * 2),
+		};
+	}
+
+	// Analyze one analysis frame straight from the decoded buffer.
+	// Mirrors the Web Audio analyser: Blackman window, dB mapped from [-100, -30].
+	_offlineFeatures(frameIndex) {
+		let buffer = this.sound.buffer;
+		let size = 1024;
+		let start = floor((frameIndex * buffer.sampleRate) / this.analysisFps);
+		let samples = new Float32Array(size);
+		let sumSquares = 0;
+		for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+			let data = buffer.getChannelData(ch);
+			for (let i = 0; i < size && start + i < data.length; i++) {
+				samples[i] += data[start + i] / buffer.numberOfChannels;
+			}
+		}
+		for (let i = 0; i < size; i++) {
+			sumSquares += samples[i] * samples[i];
+			let a = (2 * Math.PI * i) / (size - 1);
+			samples[i] *= 0.42 - 0.5 * Math.cos(a) + 0.08 * Math.cos(2 * a);
+		}
+
+		let magnitudes = AudioReactiveDrawer.spectrum(samples);
+		let binHz = buffer.sampleRate / size;
+		let bandEnergy = (band) => {
+			let lo = max(1, round(band[0] / binHz));
+			let hi = min(magnitudes.length - 1, round(band[1] / binHz));
+			let total = 0;
+			for (let i = lo; i <= hi; i++) {
+				let db = 20 * Math.log10(magnitudes[i] / size + 1e-12);
+				total += constrain(map(db, -100, -30, 0, 1), 0, 1);
+			}
+			return total / (hi - lo + 1);
+		};
+
+		let bands = AudioReactiveDrawer.BANDS;
+		let raw = {
+			bass: bandEnergy(bands.bass),
+			mid: bandEnergy(bands.mid),
+			treble: bandEnergy(bands.treble),
+			level: min(1, Math.sqrt(sumSquares / size) * 2),
+		};
+
+		// Smooth over time like the live FFT
+		let smoothed = {};
+		for (let key in raw) {
+			smoothed[key] =
+				this.smoothing * this.features[key] + (1 - this.smoothing) * raw[key];
+		}
+		return smoothed;
+	}
+
+	// Magnitude spectrum of a power-of-two sized buffer (iterative radix-2 FFT)
+	static spectrum(samples) {
+		let n = samples.length;
+		let re = Float64Array.from(samples);
+		let im = new Float64Array(n);
+
+		// Bit-reversal permutation
+		for (let i = 1, j = 0; i < n; i++) {
+			let bit = n >> 1;
+			for (; j & bit; bit >>= 1) j ^= bit;
+			j ^= bit;
+			if (i < j) {
+				[re[i], re[j]] = [re[j], re[i]];
+				[im[i], im[j]] = [im[j], im[i]];
+			}
+		}
+
+		for (let len = 2; len <= n; len <<= 1) {
+			let ang = (-2 * Math.PI) / len;
+			for (let i = 0; i < n; i += len) {
+				for (let k = 0; k < len / 2; k++) {
+					let wr = Math.cos(ang * k);
+					let wi = Math.sin(ang * k);
+					let a = i + k;
+					let b = a + len / 2;
+					let tr = re[b] * wr - im[b] * wi;
+					let ti = re[b] * wi + im[b] * wr;
+					re[b] = re[a] - tr;
+					im[b] = im[a] - ti;
+					re[a] += tr;
+					im[a] += ti;
+				}
+			}
+		}
+
+		let magnitudes = new Float64Array(n / 2);
+		for (let i = 0; i < n / 2; i++) {
+			magnitudes[i] = Math.sqrt(re[i] * re[i] + im[i] * im[i]);
+		}
+		return magnitudes;
+	}
+}
+
+/**
+ * Class 5: Flow-field Drawer
+ * Moves many particles through a Perlin noise() vector field inside drawRadius
+ * (KaleidoscopeCore.FlowFieldPattern). Every particle step is drawn through the
+ * same symmetry loop as the other drawers.
+ */
+class FlowFieldDrawer extends ProceduralDrawer {
+	/**
+	 * Options: particleCount, noiseScale, noiseSpeed, lifetime, tIncrement and the
+	 * color options, as in KaleidoscopeCore.FlowFieldPattern.
+	 * The palette defaults to the global hexPalette.
+	 */
+	constructor(opts = {}, env = coreEnv) {
+		super(new KaleidoscopeCore.FlowFieldPattern({ palette: hexPalette, ...opts }, env));
+	}
+}
+
+/**
+ * Class 6: Spirograph Drawer
+ * Traces hypotrochoids and epitrochoids scaled to fit drawRadius
+ * (KaleidoscopeCore.SpirographPattern). When every gear layer has closed
+ * the drawer stops or moves on to new gears.
+ */
+class SpirographDrawer extends ProceduralDrawer {
+	/**
+	 * Options: ringTeeth, gearTeeth, penOffset, type, layerCount, onClose, tIncrement
+	 * and the color options, as in KaleidoscopeCore.SpirographPattern.
+	 * The palette defaults to the global hexPalette.
+	 */
+	constructor(opts = {}, env = coreEnv) {
+		super(new KaleidoscopeCore.SpirographPattern({ palette: hexPalette, ...opts }, env));
+	}
+}
+
+/**
+ * Class: PaletteManager
+ * UI panel holding several named palettes. Swatches can be edited, added,
+ * removed and reordered; palettes can be imported from pasted hex codes or
+ * extracted from a dropped image (median-cut quantization).
+ * Whenever the active palette changes, onChange(hexes) is called.
+ */
+class PaletteManager {
+	constructor(onChange) {
+		this.onChange = onChange;
+		this.palettes = [
+			{ name: "Monochrome", colors: hexPalette.slice() },
+			{
+				name: "Sunset",
+				colors: ["#2B1B3F", "#6B2D5C", "#C0485F", "#F08A4B", "#F9C74F", "#FFF1D0"],
+			},
+			{
+				name: "Ocean",
+				colors: ["#03045E", "#0077B6", "#00B4D8", "#90E0EF", "#CAF0F8", "#E9F5F9"],
+			},
+		];
+		this.activeIndex = 0;
+
+		this.panel = createDiv();
+		this.panel.style("margin-top", "8px");
+		this.panel.style("display", "none");
+		this._createControls();
+		this._renderPalettes();
+	}
+
+	// Hex strings of the active palette
+	getActiveColors() {
+		return this.palettes[this.activeIndex].colors.slice();
+	}
+
+	toggle() {
+		let hidden = this.panel.style("display") === "none";
+		this.panel.style("display", hidden ? "block" : "none");
+	}
+
+	// Add a palette and make it active
+	addPalette(name, colors) {
+		this.palettes.push({ name: name, colors: colors });
+		this.setActive(this.palettes.length - 1);
+	}
+
+	setActive(index) {
+		this.activeIndex = constrain(index, 0, this.palettes.length - 1);
+		this._renderPalettes();
+		this._changed();
+	}
+
+	// Replace every palette ({ name, colors }), e.g. from a saved session
+	setPalettes(palettes, activeIndex) {
+		this.palettes = palettes.map((pal) => ({ name: pal.name, colors: pal.colors.slice() }));
+		this.setActive(activeIndex);
+	}
+
+	_changed() {
+		this._renderSwatches();
+		this.onChange(this.getActiveColors());
+	}
+
+	_createControls() {
+		let header = createDiv();
+		header.parent(this.panel);
+		header.style("display", "flex");
+		header.style("align-items", "center");
+
+		let label = createSpan("Palette: ");
+		label.parent(header);
+
+		this.paletteSelect = createSelect();
+		this.paletteSelect.parent(header);
+		this.paletteSelect.changed(() =>
+			this.setActive(parseInt(this.paletteSelect.value()))
+		);
+
+		this.nameInput = createInput("");
+		this.nameInput.parent(header);
+		this.nameInput.style("margin-left", "6px");
+		this.nameInput.style("width", "120px");
+		this.nameInput.attribute("placeholder", "New palette name");
+
+		let btnNew = createButton("New");
+		btnNew.parent(header);
+		btnNew.mousePressed(() => {
+			let name = this.nameInput.value() || "Palette " + (this.palettes.length + 1);
+			this.addPalette(name, this.getActiveColors());
+			this.nameInput.value("");
+		});
+
+		let btnDelete = createButton("Delete");
+		btnDelete.parent(header);
+		btnDelete.mousePressed(() => {
+			if (this.palettes.length <= 1) return; // Always keep one palette
+			this.palettes.splice(this.activeIndex, 1);
+			this.setActive(min(this.activeIndex, this.palettes.length - 1));
+		});
+
+		this.swatchDiv = createDiv();
+		this.swatchDiv.parent(this.panel);
+		this.swatchDiv.style("display", "flex");
+		this.swatchDiv.style("align-items", "center");
+		this.swatchDiv.style("flex-wrap", "wrap");
+		this.swatchDiv.style("margin-top", "6px");
+
+		// Import pasted hex codes
+		let importDiv = createDiv();
+		importDiv.parent(this.panel);
+		importDiv.style("display", "flex");
+		importDiv.style("align-items", "center");
+		importDiv.style("margin-top", "6px");
+
+		this.importInput = createElement("textarea");
+		this.importInput.parent(importDiv);
+		this.importInput.attribute("rows", "2");
+		this.importInput.attribute("placeholder", "#232327, #A7A5A3, ...");
+		this.importInput.style("width", "260px");
+
+		let btnImport = createButton("Import Hex");
+		btnImport.parent(importDiv);
+		btnImport.style("margin-left", "6px");
+		btnImport.mousePressed(() => {
+			let colors = PaletteManager.parseHexList(this.importInput.value());
+			if (colors.length === 0) return;
+			this.addPalette("Imported " + (this.palettes.length + 1), colors);
+			this.importInput.value("");
+		});
+
+		// Extract from a dropped image
+		let dropZone = createDiv("Drop an image here to extract a palette");
+		dropZone.parent(importDiv);
+		dropZone.style("margin-left", "10px");
+		dropZone.style("padding", "10px");
+		dropZone.style("border", "1px dashed #888");
+		dropZone.drop((file) => this._extractFromFile(file));
+
+		this.extractCountSlider = createLabeledSlider(importDiv, "Colors: ", 2, 12, 6, 1, 0);
+	}
+
+	_renderPalettes() {
+		// createSelect has no "remove all", so rebuild the options by hand
+		this.paletteSelect.html("");
+		this.palettes.forEach((pal, i) => this.paletteSelect.option(pal.name, i));
+		this.paletteSelect.selected(String(this.activeIndex));
+		this._renderSwatches();
+	}
+
+	_renderSwatches() {
+		let colors = this.palettes[this.activeIndex].colors;
+		this.swatchDiv.html("");
+		colors.forEach((hex, i) => {
+			let swatch = createDiv();
+			swatch.parent(this.swatchDiv);
+			swatch.style("display", "flex");
+			swatch.style("align-items", "center");
+			swatch.style("margin-right", "8px");
+
+			// Color pickers only take #rrggbb, so drop any alpha digits
+			let picker = createColorPicker(hex.slice(0, 7));
+			picker.parent(swatch);
+			// The picker shows the color while dragging; the palette (and the full-size
+			// vinyl) is only re-rendered once a color is picked
+			picker.input(() => {
+				colors[i] = picker.value();
+			});
+			picker.changed(() => {
+				colors[i] = picker.value();
+				this.onChange(this.getActiveColors());
+			});
+
+			let btnLeft = createButton("<");
+			btnLeft.parent(swatch);
+			btnLeft.mousePressed(() => this._moveSwatch(i, -1));
+
+			let btnRight = createButton(">");
+			btnRight.parent(swatch);
+			btnRight.mousePressed(() => this._moveSwatch(i, 1));
+
+			let btnRemove = createButton("x");
+			btnRemove.parent(swatch);
+			btnRemove.mousePressed(() => {
+				if (colors.length <= 1) return; // A palette needs at least one color
+				colors.splice(i, 1);
+				this._changed();
+			});
+		});
+
+		let btnAdd = createButton("Add Swatch");
+		btnAdd.parent(this.swatchDiv);
+		btnAdd.mousePressed(() => {
+			colors.push(colors[colors.length - 1]);
+			this._changed();
+		});
+	}
+
+	_moveSwatch(index, offset) {
+		let colors = this.palettes[this.activeIndex].colors;
+		let target = index + offset;
+		if (target < 0 || target >= colors.length) return;
+		[colors[index], colors[target]] = [colors[target], colors[index]];
+		this._changed();
+	}
+
+	_extractFromFile(file) {
+		if (file.type !== "image") return;
+		loadImage(file.data, (img) => {
+			let colors = PaletteManager.extractColors(img, this.extractCountSlider.value());
+			let name = file.name ? file.name.replace(/\.[^.]+$/, "") : "Image";
+			this.addPalette(name, colors);
+		});
+	}
+
+	// Parse "#abc, 112233\nAABBCCDD" style text into "#rrggbb(aa)" strings
+	static parseHexList(text) {
+		let matches = text.match(/#?\b([0-9a-fA-F]{8}|[0-9a-fA-F]{6}|[0-9a-fA-F]{3})\b/g) || [];
+		return matches.map((m) => {
+			let hex = m.replace("#", "");
+			if (hex.length === 3) hex = [...hex].map((c) => c + c).join("");
+			return "#" + hex.toUpperCase();
+		});
+	}
+
+	/**
+	 * Median-cut quantization: split the sampled pixels into `count` boxes
+	 * along their widest channel and average each box. Sorted dark to light.
+	 */
+	static extractColors(img, count) {
+		let sample = img.get();
+		sample.resize(100, 0); // Plenty of pixels for a palette, and fast
+		sample.loadPixels();
+		let pixels = [];
+		for (let i = 0; i < sample.pixels.length; i += 4) {
+			if (sample.pixels[i + 3] < 128) continue; // Skip transparent pixels
+			pixels.push([sample.pixels[i], sample.pixels[i + 1], sample.pixels[i + 2]]);
+		}
+		if (pixels.length === 0) return ["#000000"];
+
+		let boxes = [pixels];
+		while (boxes.length < count) {
+			// Split the box with the widest channel range (weighted by size)
+			let best = -1;
+			let bestScore = 0;
+			let bestChannel = 0;
+			boxes.forEach((box, i) => {
+				if (box.length < 2) return;
+				for (let ch = 0; ch < 3; ch++) {
+					let values = box.map((px) => px[ch]);
+					let score = (Math.max(...values) - Math.min(...values)) * box.length;
+					if (score > bestScore) {
+						best = i;
+						bestScore = score;
+						bestChannel = ch;
+					}
+				}
+			});
+			if (best < 0) break; // Nothing left to split
+
+			let box = boxes[best].sort((a, b) => a[bestChannel] - b[bestChannel]);
+			let mid = floor(box.length / 2);
+			boxes.splice(best, 1, box.slice(0, mid), box.slice(mid));
+		}
+
+		let averages = boxes.map((box) => {
+			let sum = [0, 0, 0];
+			for (let px of box) {
+				sum[0] += px[0];
+				sum[1] += px[1];
+				sum[2] += px[2];
+			}
+			return sum.map((v) => round(v / box.length));
+		});
+		averages.sort(
+			(a, b) =>
+				0.299 * a[0] + 0.587 * a[1] + 0.114 * a[2] -
+				(0.299 * b[0] + 0.587 * b[1] + 0.114 * b[2])
+		);
+		return averages.map(
+			(rgb) =>
+				"#" + rgb.map((v) => v.toString(16).padStart(2, "0")).join("").toUpperCase()
+		);
+	}
+}
+
+/**
+ * Class: WaveEditor
+ * UI panel to add, remove and edit the x/y SinusoidalWave components.
+ * Keeps the wave configs used for the next SinusoidalDrawer and pushes
+ * every edit straight into the running drawer, so no restart is needed.
+ * Radius is edited as a fraction of drawRadius; an empty phase / phaseInc
+ * field means "random" (picked from the session seed).
+ */
+class WaveEditor {
+	constructor() {
+		this.configs = KaleidoscopeCore.SinusoidalPattern.defaultWaveConfigs();
+		this.drawer = null; // SinusoidalDrawer whose waves are edited live
+
+		this.panel = createDiv();
+		this.panel.style("margin-top", "8px");
+		this.panel.style("display", "none");
+		this.xList = this._createSection("X waves", "xWaves");
+		this.yList = this._createSection("Y waves", "yWaves");
+	}
+
+	// Replace the edited configs (e.g. with an explored genome's waves) and rebuild the rows
+	setConfigs(configs) {
+		this.configs = {
+			xWaves: configs.xWaves.map((cfg) => ({ ...cfg })),
+			yWaves: configs.yWaves.map((cfg) => ({ ...cfg })),
+		};
+		this.bindDrawer(this.drawer);
+	}
+
+	// Options for a new SinusoidalDrawer built from the edited configs
+	getDrawerOptions() {
+		return {
+			xWaves: this.configs.xWaves.map((cfg) => ({ ...cfg })),
+			yWaves: this.configs.yWaves.map((cfg) => ({ ...cfg })),
+		};
+	}
+
+	// Edit the waves of this drawer from now on and rebuild the rows.
+	// Drawers without waves only update the stored configs.
+	bindDrawer(drawer) {
+		this.drawer = drawer instanceof SinusoidalDrawer ? drawer : null;
+		this._renderRows("xWaves", this.xList);
+		this._renderRows("yWaves", this.yList);
+	}
+
+	toggle() {
+		let hidden = this.panel.style("display") === "none";
+		this.panel.style("display", hidden ? "block" : "none");
+	}
+
+	_createSection(title, axis) {
+		let section = createDiv();
+		section.parent(this.panel);
+		section.style("margin-bottom", "6px");
+
+		let header = createDiv();
+		header.parent(section);
+		header.style("display", "flex");
+		header.style("align-items", "center");
+
+		let label = createSpan(title + " ");
+		label.parent(header);
+
+		let btnAdd = createButton("Add");
+		btnAdd.parent(header);
+		btnAdd.style("margin-left", "10px");
+		btnAdd.mousePressed(() => this._addWave(axis));
+
+		let list = createDiv();
+		list.parent(section);
+		return list;
+	}
+
+	_renderRows(axis, list) {
+		list.html("");
+		this.configs[axis].forEach((cfg, index) => {
+			this._createRow(axis, index, list);
+		});
+	}
+
+	_createRow(axis, index, list) {
+		let cfg = this.configs[axis][index];
+		let wave = this.drawer ? this.drawer[axis][index] : null;
+
+		let row = createDiv();
+		row.parent(list);
+		row.style("display", "flex");
+		row.style("align-items", "center");
+		row.style("margin-top", "4px");
+
+		// Blank phase / phaseInc fields stand for a random (seeded) value
+		let fields = [
+			["radius", "radiusFraction", this._radiusFraction(cfg, wave), "0.01"],
+			["freq", "freq", wave ? wave.freq : cfg.freq, "0.1"],
+			["phase", "phase", cfg.phase, "0.1"],
+			["phaseInc", "phaseInc", cfg.phaseInc, "0.0005"],
+		];
+		for (let [labelText, key, value, step] of fields) {
+			let label = createSpan(labelText + ": ");
+			label.parent(row);
+			label.style("margin-left", "6px");
+
+			let input = createInput(value !== undefined ? String(value) : "", "number");
+			input.parent(row);
+			input.attribute("step", step);
+			input.style("width", "70px");
+			input.input(() => this._updateField(axis, index, key, input.value()));
+		}
+
+		let modeSelect = createSelect();
+		modeSelect.parent(row);
+		modeSelect.style("margin-left", "6px");
+		modeSelect.option("sin");
+		modeSelect.option("cos");
+		modeSelect.selected(cfg.mode || "sin");
+		modeSelect.changed(() =>
+			this._updateField(axis, index, "mode", modeSelect.value())
+		);
+
+		let btnRemove = createButton("Remove");
+		btnRemove.parent(row);
+		btnRemove.style("margin-left", "6px");
+		btnRemove.mousePressed(() => this._removeWave(axis, index));
+	}
+
+	_radiusFraction(cfg, wave) {
+		if (cfg.radiusFraction !== undefined) return cfg.radiusFraction;
+		if (wave) return nf(wave.radius / drawRadius, 0, 3);
+		return undefined;
+	}
+
+	// Apply one edited field to the stored config and the live wave
+	_updateField(axis, index, key, rawValue) {
+		let cfg = this.configs[axis][index];
+		let wave = this.drawer ? this.drawer[axis][index] : null;
+
+		if (key === "mode") {
+			cfg.mode = rawValue;
+			if (wave) wave.mode = rawValue;
+			return;
+		}
+
+		let value = parseFloat(rawValue);
+		if (isNaN(value)) {
+			// Empty phase / phaseInc go back to random for the next drawer
+			if (key === "phase" || key === "phaseInc") delete cfg[key];
+			return;
+		}
+
+		if (key === "radiusFraction") {
+			cfg.radiusFraction = value;
+			delete cfg.radius;
+			if (wave) wave.radius = value * drawRadius;
+		} else {
+			cfg[key] = value;
+			if (wave) wave[key] = value;
+		}
+	}
+
+	_addWave(axis) {
+		let cfg = {
+			radiusFraction: 0.2,
+			freq: 1.0,
+			mode: axis === "xWaves" ? "sin" : "cos",
+		};
+		this.configs[axis].push(cfg);
+		if (this.drawer) {
+			this.drawer[axis].push(this.drawer.pattern.createWaves([cfg])[0]);
+		}
+		this._renderRows(axis, axis === "xWaves" ? this.xList : this.yList);
+	}
+
+	_removeWave(axis, index) {
+		this.configs[axis].splice(index, 1);
+		if (this.drawer) this.drawer[axis].splice(index, 1);
+		this._renderRows(axis, axis === "xWaves" ? this.xList : this.yList);
+	}
+}
+
+/**
+ * Class: ExploreView
+ * Evolves SinusoidalDrawer setups. Shows a grid of small offscreen previews, each
+ * drawn headless by KaleidoscopeCore from a genome { seed, symmetry, palette,
+ * xWaves, yWaves } with the current sketch settings. Clicking a preview picks it
+ * as a favorite; the next generation keeps the favorites and fills the rest of the
+ * grid with mutated crossovers of them. "Use" hands a genome to onPromote(genome).
+ */
+class ExploreView {
+	static GRID_CELLS = 12;
+	static GRID_COLUMNS = 4;
+	static THUMB_SIZE = 160; // Preview width/height in pixels
+	static PREVIEW_FRAMES = 900; // Frames each preview is drawn for
+	static MUTATION_RATE = 0.3; // Chance of each parameter changing in a child
+	static MAX_WAVES = 4; // Per axis
+
+	constructor(onPromote) {
+		this.onPromote = onPromote;
+		// Its own generator, so exploring doesn't disturb the session seed's sequence
+		this.rng = KaleidoscopeCore.createRandom(newSeed());
+		this.genomes = [];
+		this.favorites = new Set(); // Indices of the picked previews
+		this.generation = 0;
+		this.renderPass = 0; // Bumped for every grid, so an older grid's drawing stops
+
+		this.panel = createDiv();
+		this.panel.style("margin-top", "8px");
+		this.panel.style("display", "none");
+		this._createControls();
+	}
+
+	// Show or hide the panel; the first grid is drawn when it's first shown
+	toggle() {
+		let hidden = this.panel.style("display") === "none";
+		this.panel.style("display", hidden ? "block" : "none");
+		if (hidden && this.genomes.length === 0) this.randomize();
+	}
+
+	// Start over with a grid of random genomes
+	randomize() {
+		this.genomes = [];
+		for (let i = 0; i < ExploreView.GRID_CELLS; i++) {
+			this.genomes.push(this.randomGenome());
+		}
+		this.generation = 1;
+		this.favorites.clear();
+		this._renderGrid();
+	}
+
+	// Breed the next grid from the favorites, or start over if none are picked
+	nextGeneration() {
+		let parents = [...this.favorites].sort((a, b) => a - b).map((i) => this.genomes[i]);
+		if (parents.length === 0) {
+			this.randomize();
+			return;
+		}
+		let r = this.rng.random;
+		let children = parents.slice();
+		while (children.length < ExploreView.GRID_CELLS) {
+			children.push(this.mutate(this.crossover(r(parents), r(parents))));
+		}
+		this.genomes = children;
+		this.generation++;
+		// The favorites carry over, in the first cells
+		this.favorites = new Set(parents.map((_, i) => i));
+		this._renderGrid();
+	}
+
+	randomGenome() {
+		let r = this.rng.random;
+		return {
+			seed: floor(r(1000000000)),
+			symmetry: floor(r(3, 25)),
+			palette: this.randomPalette(),
+			xWaves: this._randomWaves("sin"),
+			yWaves: this._randomWaves("cos"),
+		};
+	}
+
+	// A saved palette, or a new one spread around a random hue
+	randomPalette() {
+		let r = this.rng.random;
+		if (r() < 0.5) return r(paletteManager.palettes).colors.slice();
+		let hue = r(360);
+		let spread = r(10, 60);
+		let colors = [];
+		for (let i = 0; i < 5; i++) {
+			let levels = KaleidoscopeCore.hsbColor(hue + i * spread, r(30, 90), r(20, 100));
+			colors.push(KaleidoscopeCore.toHex(levels).toUpperCase());
+		}
+		return colors;
+	}
+
+	_randomWaves(mode) {
+		let waves = [];
+		let count = floor(this.rng.random(1, ExploreView.MAX_WAVES + 1));
+		for (let i = 0; i < count; i++) waves.push(this._randomWave(mode));
+		return ExploreView.fitRadii(waves);
+	}
+
+	// A wave config as the WaveEditor uses them, with every field set so it reproduces exactly
+	_randomWave(mode) {
+		let r = this.rng.random;
+		let otherMode = mode === "sin" ? "cos" : "sin";
+		return {
+			radiusFraction: r(0.1, 0.6),
+			freq: round(r(0.5, 12) * 2) / 2,
+			phase: r(0, TWO_PI),
+			phaseInc: r() < 0.3 ? r(0.01, 0.1) : r(0.0005, 0.005),
+			mode: r() < 0.85 ? mode : otherMode,
+		};
+	}
+
+	// Shrink an axis's radii so its waves together stay inside the disc
+	static fitRadii(waves) {
+		let total = waves.reduce((sum, wave) => sum + wave.radiusFraction, 0);
+		if (total > 1) {
+			for (let wave of waves) wave.radiusFraction /= total;
+		}
+		return waves;
+	}
+
+	// A child taking each wave slot, and its symmetry, palette and seed, from either parent
+	crossover(a, b) {
+		let r = this.rng.random;
+		let mixWaves = (wa, wb) => {
+			let count = r() < 0.5 ? wa.length : wb.length;
+			let waves = [];
+			for (let i = 0; i < count; i++) {
+				let from = wa[i] && wb[i] ? r([wa[i], wb[i]]) : wa[i] || wb[i];
+				waves.push({ ...from });
+			}
+			return ExploreView.fitRadii(waves);
+		};
+		return {
+			seed: r([a.seed, b.seed]),
+			symmetry: r([a.symmetry, b.symmetry]),
+			palette: r([a.palette, b.palette]).slice(),
+			xWaves: mixWaves(a.xWaves, b.xWaves),
+			yWaves: mixWaves(a.yWaves, b.yWaves),
+		};
+	}
+
+	// Nudge each parameter with MUTATION_RATE chance; waves may also be added or dropped
+	mutate(genome) {
+		let r = this.rng.random;
+		let rate = ExploreView.MUTATION_RATE;
+		let chance = () => r() < rate;
+
+		for (let [axis, mode] of [["xWaves", "sin"], ["yWaves", "cos"]]) {
+			let waves = genome[axis];
+			for (let wave of waves) {
+				if (chance()) wave.radiusFraction *= r(0.7, 1.4);
+				if (chance()) wave.freq = max(0.5, round((wave.freq + r(-2, 2)) * 2) / 2);
+				if (chance()) wave.phase += r(-1, 1);
+				if (chance()) wave.phaseInc *= r(0.5, 2);
+			}
+			if (r() < rate / 3 && waves.length < ExploreView.MAX_WAVES) {
+				waves.push(this._randomWave(mode));
+			} else if (r() < rate / 3 && waves.length > 1) {
+				waves.splice(floor(r(waves.length)), 1);
+			}
+			ExploreView.fitRadii(waves);
+		}
+
+		if (chance()) genome.symmetry = constrain(genome.symmetry + floor(r(-3, 4)), 2, 32);
+		if (r() < rate / 3) genome.palette = this.randomPalette();
+		return genome;
+	}
+
+	// KaleidoscopeCore config for a genome, with the sketch's current settings
+	configFor(genome, size, frames) {
+		return {
+			seed: genome.seed,
+			drawer: "sinusoidal",
+			drawerOptions: { xWaves: genome.xWaves, yWaves: genome.yWaves },
+			frames: frames,
+			size: size,
+			vinyl: vinylSlider.value(),
+			symmetry: genome.symmetry,
+			symmetryMode: symmetryMode,
+			mirrorAxis: mirrorAxis,
+			spiralScale: spiralScale,
+			spiralTwist: spiralTwist,
+			radialRings: radialRings,
+			colorMode: colorMappingMode,
+			colorRate: colorRateSlider.value(),
+			strokeWeight: strokeWeightSlider.value(),
+			drawSpeed: drawSpeedSlider.value(),
+			palette: genome.palette,
+		};
+	}
+
+	_createControls() {
+		let header = createDiv();
+		header.parent(this.panel);
+		header.style("display", "flex");
+		header.style("align-items", "center");
+
+		let label = createSpan("Explore: ");
+		label.parent(header);
+
+		let btnNext = createButton("Next Generation");
+		btnNext.parent(header);
+		btnNext.mousePressed(() => this.nextGeneration());
+
+		let btnRandom = createButton("Random Grid");
+		btnRandom.parent(header);
+		btnRandom.mousePressed(() => this.randomize());
+
+		this.statusSpan = createSpan("");
+		this.statusSpan.parent(header);
+		this.statusSpan.style("margin-left", "10px");
+
+		this.grid = createDiv();
+		this.grid.parent(this.panel);
+		this.grid.style("display", "grid");
+		this.grid.style(
+			"grid-template-columns",
+			`repeat(${ExploreView.GRID_COLUMNS}, ${ExploreView.THUMB_SIZE}px)`
+		);
+		this.grid.style("gap", "8px");
+		this.grid.style("margin-top", "6px");
+	}
+
+	// Lay out the cells, then draw one preview per animation frame,
+	// so the page and the live canvas keep running meanwhile
+	_renderGrid() {
+		this.grid.html("");
+		let thumbs = this.genomes.map((genome, index) => this._createCell(genome, index));
+		let pass = ++this.renderPass;
+		let drawn = 0;
+		let showProgress = () =>
+			this.statusSpan.html(
+				`Generation ${this.generation}: drawing previews (${drawn}/${thumbs.length})…`
+			);
+		let drawNext = () => {
+			if (pass !== this.renderPass) return;
+			KaleidoscopeCore.generate(
+				this.configFor(this.genomes[drawn], ExploreView.THUMB_SIZE, ExploreView.PREVIEW_FRAMES),
+				new KaleidoscopeCore.CanvasRenderer(thumbs[drawn].elt.getContext("2d"))
+			);
+			drawn++;
+			if (drawn < thumbs.length) {
+				showProgress();
+				requestAnimationFrame(drawNext);
+			} else {
+				this.statusSpan.html(
+					"Generation " + this.generation + ": click previews to pick favorites"
+				);
+			}
+		};
+		showProgress();
+		requestAnimationFrame(drawNext);
+	}
+
+	// A grid cell with a blank preview canvas (returned) and its "Use" button
+
+	_createCell(genome, index) {
+		let size = ExploreView.THUMB_SIZE;
+		let cell = createDiv();
+		cell.parent(this.grid);
+
+		let thumb = createElement("canvas");
+		thumb.parent(cell);
+		thumb.elt.width = size;
+		thumb.elt.height = size;
+		thumb.style("display", "block");
+		thumb.style("cursor", "pointer");
+		this._showPicked(thumb, this.favorites.has(index));
+		thumb.mousePressed(() => {
+			if (this.favorites.has(index)) this.favorites.delete(index);
+			else this.favorites.add(index);
+			this._showPicked(thumb, this.favorites.has(index));
+		});
+
+		let btnUse = createButton("Use");
+		btnUse.parent(cell);
+		btnUse.style("margin-top", "2px");
+		btnUse.mousePressed(() => this.onPromote(genome));
+		return thumb;
+	}
+
+	_showPicked(thumb, picked) {
+		thumb.style("outline", picked ? "3px solid #F9C74F" : "1px solid #999");
+	}
+}
+
+/**
+ * Class: Timeline
+ * Keyframe automation for the numeric sliders (see getAutomatedSliders()).
+ * Each track holds keyframes { time, value, easing } for one slider, sorted by time;
+ * a keyframe's easing shapes the change from it to the next keyframe. Time is counted
+ * in frames or seconds. While playing, update() moves the playhead and sets the sliders
+ * before draw() reads them, running each slider's input and change handlers as a drag
+ * would; at the end playback stops, loops or ping-pongs back.
+ * Timelines are saved and loaded as JSON (see toJSON()).
+ */
+class Timeline {
+	static EASINGS = {
+		linear: (t) => t,
+		easeIn: (t) => t * t * t,
+		easeOut: (t) => 1 - (1 - t) ** 3,
+		easeInOut: (t) => (t < 0.5 ? 4 * t * t * t : 1 - (-2 * t + 2) ** 3 / 2),
+		step: () => 0, // Hold the value until the next keyframe
+	};
+	static MODES = { once: "Play once", loop: "Loop", pingpong: "Ping-pong" };
+	static UNITS = ["frames", "seconds"];
+	static VERSION = 1;
+
+	constructor(sliders) {
+		this.sliders = sliders; // Parameter name -> p5 slider
+		this.unit = "frames";
+		this.length = 600; // In `unit`
+		this.mode = "loop";
+		this.tracks = {}; // Parameter name -> keyframes
+		this.time = 0; // Playhead, in `unit`
+		this.direction = 1; // -1 while ping-ponging back
+		this.playing = false;
+
+		this.panel = createDiv();
+		this.panel.style("margin-top", "8px");
+		this.panel.style("display", "none");
+		this._createControls();
+		this._renderTracks();
+		this.seek(0);
+	}
+
+	toggle() {
+		let hidden = this.panel.style("display") === "none";
+		this.panel.style("display", hidden ? "block" : "none");
+	}
+
+	// Add a keyframe, replacing one at the same time on that track
+	addKeyframe(name, time, value, easing = "linear") {
+		let keys = (this.tracks[name] = this.tracks[name] || []);
+		let key = { time: time, value: value, easing: easing };
+		let index = keys.findIndex((k) => k.time === time);
+		if (index >= 0) keys[index] = key;
+		else keys.push(key);
+		keys.sort((a, b) => a.time - b.time);
+		this._renderTracks();
+	}
+
+	removeKeyframe(name, index) {
+		this.tracks[name].splice(index, 1);
+		if (this.tracks[name].length === 0) delete this.tracks[name];
+		this._renderTracks();
+	}
+
+	// Value of a track at `time`; before the first and after the last keyframe it holds
+	valueAt(name, time) {
+		let keys = this.tracks[name];
+		if (time <= keys[0].time) return keys[0].value;
+		for (let i = 0; i < keys.length - 1; i++) {
+			let from = keys[i];
+			let to = keys[i + 1];
+			if (time < to.time) {
+				let t = (time - from.time) / (to.time - from.time);
+				return lerp(from.value, to.value, Timeline.EASINGS[from.easing](t));
+			}
+		}
+		return keys[keys.length - 1].value;
+	}
+
+	play() {
+		if (this.mode === "once" && this.time >= this.length) this.seek(0); // Play again from the start
+		if (this.time === 0 && this.restartCheckbox.checked()) setAutoDrawer();
+		this.playing = true;
+		this.playButton.html("Pause");
+	}
+
+	pause() {
+		this.playing = false;
+		this.playButton.html("Play");
+	}
+
+	// Stop and rewind to the start
+	stop() {
+		this.pause();
+		this.seek(0);
+		this.direction = 1;
+	}
+
+	seek(time) {
+		this.time = constrain(time, 0, this.length);
+		this.apply();
+	}
+
+	// Called at the start of every draw(): advance the playhead by one frame
+	// (or `deltaMs` of time) and set the automated sliders
+	update(deltaMs) {
+		if (!this.playing) return;
+		this.time += this.direction * (this.unit === "frames" ? 1 : deltaMs / 1000);
+		if (this.mode === "loop") {
+			if (this.time >= this.length) this.time -= this.length;
+		} else if (this.mode === "pingpong") {
+			if (this.time >= this.length) {
+				this.time = 2 * this.length - this.time;
+				this.direction = -1;
+			} else if (this.time <= 0) {
+				this.time = -this.time;
+				this.direction = 1;
+			}
+		} else if (this.time >= this.length) {
+			this.time = this.length;
+			this.pause();
+		}
+		this.time = constrain(this.time, 0, this.length);
+		this.apply();
+	}
+
+	// Move every automated slider to its value at the playhead. Their input
+	// handlers run only when the value changes, to refresh the value labels.
+	apply() {
+		for (let name in this.tracks) {
+			let slider = this.sliders[name];
+			let before = slider.value();
+			slider.value(this.valueAt(name, this.time));
+			if (slider.value() === before) continue;
+			slider.elt.dispatchEvent(new Event("input"));
+			slider.elt.dispatchEvent(new Event("change"));
+		}
+		this.scrubSlider.value(this.time);
+		this.timeSpan.html(this._formatTime(this.time) + " / " + this._formatTime(this.length));
+	}
+
+	// { version, unit, length, mode, tracks: { name: [{ time, value, easing }] } }
+	toJSON() {
+		return {
+			version: Timeline.VERSION,
+			unit: this.unit,
+			length: this.length,
+			mode: this.mode,
+			tracks: this.tracks,
+		};
+	}
+
+	// Replace the timeline with one from toJSON(); tracks for unknown parameters are skipped
+	load(data) {
+		if (!data || typeof data.tracks !== "object" || !Number.isFinite(data.length) || data.length <= 0) {
+			throw new Error("Not a timeline file");
+		}
+		let tracks = {};
+		for (let name in data.tracks) {
+			if (!Object.hasOwn(this.sliders, name) || !Array.isArray(data.tracks[name])) continue;
+			let keys = data.tracks[name]
+				.filter((key) => key && Number.isFinite(key.time) && Number.isFinite(key.value))
+				.map((key) => ({
+					time: key.time,
+					value: key.value,
+					easing: Object.hasOwn(Timeline.EASINGS, key.easing) ? key.easing : "linear",
+				}))
+				.sort((a, b) => a.time - b.time);
+			if (keys.length > 0) tracks[name] = keys;
+		}
+		this.pause();
+		this.tracks = tracks;
+		this.unit = Timeline.UNITS.includes(data.unit) ? data.unit : "frames";
+		this.mode = Object.hasOwn(Timeline.MODES, data.mode) ? data.mode : "loop";
+		this.unitSelect.selected(this.unit);
+		this.modeSelect.selected(this.mode);
+		this._setLength(data.length);
+		this._renderTracks();
+		this.stop();
+	}
+
+	save() {
+		saveJSON(this.toJSON(), "timeline.json");
+	}
+
+	// Load a timeline from a picked JSON File
+	loadFile(file) {
+		file
+			.text()
+			.then((text) => {
+				this.load(JSON.parse(text));
+				this.statusSpan.html("Loaded " + file.name);
+			})
+			.catch((err) => this.statusSpan.html("Could not load: " + err.message));
+	}
+
+	_setLength(length) {
+		this.length = length;
+		this.lengthInput.value(String(length));
+		this.scrubSlider.elt.max = length;
+		this.scrubSlider.elt.step = this.unit === "frames" ? 1 : 0.01;
+		this.seek(this.time);
+	}
+
+	_formatTime(time) {
+		return this.unit === "frames" ? round(time) + "f" : nf(time, 0, 2) + "s";
+	}
+
+	_createControls() {
+		let header = createDiv();
+		header.parent(this.panel);
+		header.style("display", "flex");
+		header.style("align-items", "center");
+
+		let label = createSpan("Timeline: ");
+		label.parent(header);
+
+		this.playButton = createButton("Play");
+		this.playButton.parent(header);
+		this.playButton.mousePressed(() => (this.playing ? this.pause() : this.play()));
+
+		let btnStop = createButton("Stop");
+		btnStop.parent(header);
+		btnStop.mousePressed(() => this.stop());
+
+		this.modeSelect = createSelect();
+		this.modeSelect.parent(header);
+		this.modeSelect.style("margin-left", "6px");
+		for (let mode in Timeline.MODES) this.modeSelect.option(Timeline.MODES[mode], mode);
+		this.modeSelect.selected(this.mode);
+		this.modeSelect.changed(() => {
+			this.mode = this.modeSelect.value();
+			this.direction = 1;
+		});
+
+		let lengthLabel = createSpan("Length: ");
+		lengthLabel.parent(header);
+		lengthLabel.style("margin-left", "6px");
+		this.lengthInput = createInput(String(this.length));
+		this.lengthInput.parent(header);
+		this.lengthInput.style("width", "50px");
+		this.lengthInput.changed(() => {
+			let length = parseFloat(this.lengthInput.value());
+			if (length > 0) this._setLength(length);
+			else this.lengthInput.value(String(this.length));
+		});
+
+		// Switching the unit keeps the numbers, so 600 frames become 600 seconds
+		this.unitSelect = createSelect();
+		this.unitSelect.parent(header);
+		for (let unit of Timeline.UNITS) this.unitSelect.option(unit);
+		this.unitSelect.selected(this.unit);
+		this.unitSelect.changed(() => {
+			this.unit = this.unitSelect.value();
+			this._setLength(this.length);
+		});
+
+		this.restartCheckbox = createCheckbox("Restart auto draw on play", true);
+		this.restartCheckbox.parent(header);
+		this.restartCheckbox.style("margin-left", "6px");
+
+		let fileDiv = createDiv();
+		fileDiv.parent(this.panel);
+		fileDiv.style("display", "flex");
+		fileDiv.style("align-items", "center");
+		fileDiv.style("margin-top", "4px");
+
+		let btnSave = createButton("Save JSON");
+		btnSave.parent(fileDiv);
+		btnSave.mousePressed(() => this.save());
+
+		let loadLabel = createSpan("Load JSON: ");
+		loadLabel.parent(fileDiv);
+		loadLabel.style("margin-left", "6px");
+		let loadInput = createFileInput((file) => {
+			this.loadFile(file.file);
+			loadInput.value(""); // Lets the same file be picked again
+		});
+		loadInput.parent(fileDiv);
+		loadInput.attribute("accept", ".json,application/json");
+
+		this.statusSpan = createSpan("");
+		this.statusSpan.parent(fileDiv);
+		this.statusSpan.style("margin-left", "10px");
+
+		// Playhead
+		let scrubDiv = createDiv();
+		scrubDiv.parent(this.panel);
+		scrubDiv.style("display", "flex");
+		scrubDiv.style("align-items", "center");
+		scrubDiv.style("margin-top", "4px");
+
+		this.scrubSlider = createSlider(0, this.length, 0, 1);
+		this.scrubSlider.parent(scrubDiv);
+		this.scrubSlider.style("width", "400px");
+		this.scrubSlider.input(() => this.seek(this.scrubSlider.value()));
+
+		this.timeSpan = createSpan("");
+		this.timeSpan.parent(scrubDiv);
+		this.timeSpan.style("margin-left", "10px");
+
+		// New keyframes take the parameter's current slider value at the playhead
+		let keyDiv = createDiv();
+		keyDiv.parent(this.panel);
+		keyDiv.style("display", "flex");
+		keyDiv.style("align-items", "center");
+		keyDiv.style("margin-top", "4px");
+
+		let paramLabel = createSpan("Parameter: ");
+		paramLabel.parent(keyDiv);
+		this.paramSelect = createSelect();
+		this.paramSelect.parent(keyDiv);
+		for (let name in this.sliders) this.paramSelect.option(name);
+
+		let easingLabel = createSpan("Easing: ");
+		easingLabel.parent(keyDiv);
+		easingLabel.style("margin-left", "6px");
+		this.easingSelect = createSelect();
+		this.easingSelect.parent(keyDiv);
+		for (let easing in Timeline.EASINGS) this.easingSelect.option(easing);
+
+		let btnAdd = createButton("Add Keyframe");
+		btnAdd.parent(keyDiv);
+		btnAdd.style("margin-left", "6px");
+		btnAdd.mousePressed(() => {
+			let name = this.paramSelect.value();
+			this.addKeyframe(name, this.time, this.sliders[name].value(), this.easingSelect.value());
+		});
+
+		this.trackList = createDiv();
+		this.trackList.parent(this.panel);
+	}
+
+	// One row per track with its keyframes, each editable in place
+	_renderTracks() {
+		this.trackList.html("");
+		for (let name in this.tracks) {
+			let row = createDiv();
+			row.parent(this.trackList);
+			row.style("display", "flex");
+			row.style("align-items", "center");
+			row.style("flex-wrap", "wrap");
+			row.style("margin-top", "4px");
+
+			let nameSpan = createSpan(name + ": ");
+			nameSpan.parent(row);
+			nameSpan.style("min-width", "100px");
+
+			this.tracks[name].forEach((key, index) => this._createKeyframe(row, name, key, index));
+		}
+	}
+
+	_createKeyframe(row, name, key, index) {
+		let box = createSpan();
+		box.parent(row);
+		box.style("margin-right", "10px");
+		box.style("border", "1px solid #999");
+		box.style("padding", "2px");
+
+		let timeInput = createInput(String(key.time));
+		timeInput.parent(box);
+		timeInput.style("width", "45px");
+		timeInput.attribute("title", "Time (" + this.unit + ")");
+		timeInput.changed(() => {
+			let time = parseFloat(timeInput.value());
+			if (isNaN(time)) return;
+			this.removeKeyframe(name, index);
+			this.addKeyframe(name, time, key.value, key.easing);
+		});
+
+		let valueInput = createInput(String(key.value));
+		valueInput.parent(box);
+		valueInput.style("width", "45px");
+		valueInput.attribute("title", "Value");
+		valueInput.changed(() => {
+			let value = parseFloat(valueInput.value());
+			if (!isNaN(value)) key.value = value;
+		});
+
+		let easingSelect = createSelect();
+		easingSelect.parent(box);
+		for (let easing in Timeline.EASINGS) easingSelect.option(easing);
+		easingSelect.selected(key.easing);
+		easingSelect.changed(() => {
+			key.easing = easingSelect.value();
+		});
+
+		let btnDelete = createButton("×");
+		btnDelete.parent(box);
+		btnDelete.mousePressed(() => this.removeKeyframe(name, index));
+	}
+}
+
+/**
+ * Class: ImageWedge
+ * The classic optical kaleidoscope: a wedge cut from a dropped photo is mirrored
+ * and rotated `symmetry` times to fill the vinyl disc inside its clip ring.
+ * The wedge is picked on a preview of the photo: drag it to move it, drag the
+ * handle at its tip to rotate and scale it. While "Show live" is on, the result
+ * is re-rendered whenever the wedge or the disc changes and shown under the
+ * layers (LayerStack.underlay); bake() paints it into the active layer so the
+ * line drawers can draw over it.
+ */
+class ImageWedge {
+	static PREVIEW_SIZE = 320; // Photo preview width/height in pixels
+	static HANDLE_RADIUS = 8; // Tip handle radius in preview pixels
+	static SEAM_OVERLAP = 0.3; // Degrees each copy overlaps its neighbors, hiding hairline seams
+
+	constructor() {
+		this.image = null; // Canvas of the loaded photo
+		this.apex = { x: 0, y: 0 }; // Point of the wedge, in photo pixels
+		this.rotation = -90; // Direction of the wedge's center line, in degrees
+		this.length = 1; // Wedge radius in photo pixels
+		this.output = null; // Canvas the kaleidoscope is rendered into, canvasSize square
+		this.renderedKey = null; // Settings the output was last rendered with
+		this.drag = null; // { mode: "move" | "tip", dx, dy } while dragging on the preview
+
+		this.panel = createDiv();
+		this.panel.style("margin-top", "8px");
+		this.panel.style("display", "none");
+		this._createControls();
+	}
+
+	toggle() {
+		let hidden = this.panel.style("display") === "none";
+		this.panel.style("display", hidden ? "block" : "none");
+	}
+
+	// Angle of the photo wedge: each of the `symmetry` copies holds the wedge and its mirror image
+	wedgeAngle() {
+		return 180 / symmetry;
+	}
+
+	// Load a dropped or picked p5.File
+	loadFile(file) {
+		if (file.type !== "image") {
+			this.statusSpan.html("Not an image");
+			return;
+		}
+		loadImage(file.data, (img) => this.setImage(img.canvas));
+	}
+
+	// Use a new photo, with a wedge pointing up from its center
+	setImage(canvas) {
+		this.image = canvas;
+		this.apex = { x: canvas.width / 2, y: canvas.height / 2 };
+		this.rotation = -90;
+		this.length = (min(canvas.width, canvas.height) / 2) * 0.9;
+		this.statusSpan.html("Drag the wedge to move it, its tip to rotate and scale it");
+		this._renderPreview();
+	}
+
+	// Called every frame before compositing: re-render the live result if anything changed
+	update() {
+		let live = this.image !== null && this.liveCheckbox.checked();
+		layerStack.setUnderlay(live ? this.output : null);
+		if (!live) return;
+		let clip = vinylBackground.getClipRadii();
+		let key = [
+			this.apex.x,
+			this.apex.y,
+			this.rotation,
+			this.length,
+			symmetry,
+			canvasSize,
+			clip.radius,
+			clip.innerRadius,
+		].join("/");
+		if (key === this.renderedKey) return;
+		this.renderedKey = key;
+		this._renderOutput();
+		layerStack.setUnderlay(this.output);
+		layerStack.dirty = true; // Same canvas, new pixels
+	}
+
+	// Paint the current result into the active layer, under its strokes, and stop the live view
+	bake() {
+		if (!this.image) return;
+		this._renderOutput();
+		this.renderedKey = null;
+		layerStack.getActive().history.paintBase(this.output);
+		this.liveCheckbox.checked(false);
+		layerStack.setUnderlay(null);
+	}
+
+	// Fill the disc: 2 * symmetry copies of the wedge around the center, every other one mirrored
+	_renderOutput() {
+		let size = canvasSize;
+		if (!this.output || this.output.width !== size) {
+			this.output = document.createElement("canvas");
+			this.output.width = size;
+			this.output.height = size;
+		}
+		let ctx = this.output.getContext("2d");
+		ctx.clearRect(0, 0, size, size);
+
+		let clip = vinylBackground.getClipRadii();
+		let w = this.wedgeAngle();
+		let overlap = ImageWedge.SEAM_OVERLAP;
+		let zoom = clip.radius / this.length;
+		ctx.save();
+		ctx.translate(size / 2, size / 2);
+		clipToRing(ctx, clip.radius, clip.innerRadius);
+		for (let j = 0; j < 2 * symmetry; j++) {
+			ctx.save();
+			if (j % 2 === 0) {
+				ctx.rotate(radians(j * w));
+			} else {
+				ctx.rotate(radians((j + 1) * w));
+				ctx.scale(1, -1);
+			}
+			// This copy covers the angles 0..w
+			ctx.beginPath();
+			ctx.moveTo(0, 0);
+			ctx.arc(0, 0, clip.radius, radians(-overlap), radians(w + overlap));
+			ctx.closePath();
+			ctx.clip();
+			// Map the photo's wedge onto it: apex to the center, tip length to the clip radius
+			ctx.scale(zoom, zoom);
+			ctx.rotate(radians(w / 2 - this.rotation));
+			ctx.translate(-this.apex.x, -this.apex.y);
+			ctx.drawImage(this.image, 0, 0);
+			ctx.restore();
+		}
+		ctx.restore();
+	}
+
+	// Photo fitted into the preview, with the wedge outline and its tip handle
+	_renderPreview() {
+		let ctx = this.preview.elt.getContext("2d");
+		let size = ImageWedge.PREVIEW_SIZE;
+		ctx.clearRect(0, 0, size, size);
+		if (!this.image) return;
+
+		let view = this._previewTransform();
+		ctx.drawImage(
+			this.image,
+			view.x,
+			view.y,
+			this.image.width * view.scale,
+			this.image.height * view.scale
+		);
+
+		let apex = this._toPreview(this.apex);
+		let tip = this._toPreview(this._tip());
+		let half = radians(this.wedgeAngle() / 2);
+		let rotation = radians(this.rotation);
+		ctx.save();
+		ctx.strokeStyle = "#F9C74F";
+		ctx.lineWidth = 2;
+		ctx.beginPath();
+		ctx.moveTo(apex.x, apex.y);
+		ctx.arc(apex.x, apex.y, this.length * view.scale, rotation - half, rotation + half);
+		ctx.closePath();
+		ctx.stroke();
+		ctx.setLineDash([4, 4]);
+		ctx.beginPath();
+		ctx.moveTo(apex.x, apex.y);
+		ctx.lineTo(tip.x, tip.y);
+		ctx.stroke();
+		ctx.fillStyle = "#F9C74F";
+		ctx.beginPath();
+		ctx.arc(tip.x, tip.y, ImageWedge.HANDLE_RADIUS, 0, TWO_PI);
+		ctx.fill();
+		ctx.restore();
+	}
+
+	// Scale and offset that fit the photo into the preview
+	_previewTransform() {
+		let size = ImageWedge.PREVIEW_SIZE;
+		let scale = size / max(this.image.width, this.image.height);
+		return {
+			scale: scale,
+			x: (size - this.image.width * scale) / 2,
+			y: (size - this.image.height * scale) / 2,
+		};
+	}
+
+	_toPreview(point) {
+		let view = this._previewTransform();
+		return { x: view.x + point.x * view.scale, y: view.y + point.y * view.scale };
+	}
+
+	// Photo coordinates of a pointer event on the preview
+	_toPhoto(event) {
+		let rect = this.preview.elt.getBoundingClientRect();
+		let view = this._previewTransform();
+		let px = ((event.clientX - rect.left) * ImageWedge.PREVIEW_SIZE) / rect.width;
+		let py = ((event.clientY - rect.top) * ImageWedge.PREVIEW_SIZE) / rect.height;
+		return { x: (px - view.x) / view.scale, y: (py - view.y) / view.scale };
+	}
+
+	_tip() {
+		return {
+			x: this.apex.x + this.length * cos(this.rotation),
+			y: this.apex.y + this.length * sin(this.rotation),
+		};
+	}
+
+	_pointerDown(event) {
+		if (!this.image) return;
+		let point = this._toPhoto(event);
+		let tip = this._tip();
+		let handle = (ImageWedge.HANDLE_RADIUS * 1.5) / this._previewTransform().scale;
+		if (dist(point.x, point.y, tip.x, tip.y) <= handle) {
+			this.drag = { mode: "tip" };
+		} else {
+			this.drag = { mode: "move", dx: this.apex.x - point.x, dy: this.apex.y - point.y };
+		}
+		this.preview.elt.setPointerCapture(event.pointerId);
+	}
+
+	_pointerMove(event) {
+		if (!this.drag) return;
+		let point = this._toPhoto(event);
+		if (this.drag.mode === "tip") {
+			this.rotation = atan2(point.y - this.apex.y, point.x - this.apex.x); // Degrees (angleMode)
+			this.length = max(4, dist(this.apex.x, this.apex.y, point.x, point.y));
+		} else {
+			this.apex = { x: point.x + this.drag.dx, y: point.y + this.drag.dy };
+		}
+		this._renderPreview(); // The canvas follows in update()
+	}
+
+	_createControls() {
+		let header = createDiv();
+		header.parent(this.panel);
+		header.style("display", "flex");
+		header.style("align-items", "center");
+
+		let label = createSpan("Image wedge: ");
+		label.parent(header);
+
+		let dropZone = createDiv("Drop a photo here");
+		dropZone.parent(header);
+		dropZone.style("padding", "10px");
+		dropZone.style("border", "1px dashed #888");
+		dropZone.drop((file) => this.loadFile(file));
+
+		let fileInput = createFileInput((file) => this.loadFile(file));
+		fileInput.parent(header);
+		fileInput.style("margin-left", "6px");
+		fileInput.attribute("accept", "image/*");
+
+		this.liveCheckbox = createCheckbox("Show live", true);
+		this.liveCheckbox.parent(header);
+
+		let btnBake = createButton("Bake Into Layer");
+		btnBake.parent(header);
+		btnBake.style("margin-left", "6px");
+		btnBake.mousePressed(() => this.bake());
+
+		this.statusSpan = createSpan("");
+		this.statusSpan.parent(header);
+		this.statusSpan.style("margin-left", "10px");
+
+		this.preview = createElement("canvas");
+		this.preview.parent(this.panel);
+		this.preview.elt.width = ImageWedge.PREVIEW_SIZE;
+		this.preview.elt.height = ImageWedge.PREVIEW_SIZE;
+		this.preview.style("display", "block");
+		this.preview.style("margin-top", "6px");
+		this.preview.style("outline", "1px solid #999");
+		this.preview.style("touch-action", "none");
+		this.preview.elt.addEventListener("pointerdown", (e) => this._pointerDown(e));
+		this.preview.elt.addEventListener("pointermove", (e) => this._pointerMove(e));
+		this.preview.elt.addEventListener("pointerup", () => (this.drag = null));
+		this.preview.elt.addEventListener("pointercancel", () => (this.drag = null));
+	}
+}
+
+/**
+ * Class: ZoneEditor
+ * UI panel that splits the disc into concentric ring zones (see Layer) and edits
+ * each zone's ring, symmetry, stroke weight, palette and drawer. Mouse strokes go
+ * to the zone under the pointer; procedural drawers in different zones run side by side.
+ */
+class ZoneEditor {
+	// Drawers a zone can use: select label -> drawer class
+	static DRAWERS = {
+		Mouse: MouseDrawer,
+		Sinusoidal: SinusoidalDrawer,
+		"Flow Field": FlowFieldDrawer,
+		Spirograph: SpirographDrawer,
+	};
+	static MAX_ZONES = 8;
+
+	constructor() {
+		this.panel = createDiv();
+		this.panel.style("margin-top", "8px");
+		this.panel.style("display", "none");
+		this._createControls();
+		this.render();
+	}
+
+	toggle() {
+		let hidden = this.panel.style("display") === "none";
+		this.panel.style("display", hidden ? "block" : "none");
+	}
+
+	// Rebuild the zone rows (after zones or the active layer changed)
+	render() {
+		this.list.html("");
+		let zones = layerStack.getZones();
+		if (zones.length === 0) {
+			let empty = createSpan("No zones: the whole disc shares one symmetry and drawer");
+			empty.parent(this.list);
+			return;
+		}
+		// Outermost first, like the disc seen from the edge in
+		for (let i = zones.length - 1; i >= 0; i--) this._createRow(zones[i]);
+	}
+
+	// Give a zone the drawer picked by its select label
+	setDrawer(layer, name) {
+		let drawer =
+			name === "Mouse" ? new MouseDrawer() : createSelectedDrawer(layer.env, name);
+		layerStack.setLayerDrawer(layer, drawer);
+	}
+
+	_createControls() {
+		let header = createDiv();
+		header.parent(this.panel);
+		header.style("display", "flex");
+		header.style("align-items", "center");
+
+		let label = createSpan("Ring zones: ");
+		label.parent(header);
+
+		let countInput = createInput("3", "number");
+		countInput.parent(header);
+		countInput.style("width", "50px");
+		countInput.attribute("min", "1");
+		countInput.attribute("max", String(ZoneEditor.MAX_ZONES));
+
+		let btnSplit = createButton("Split Disc");
+		btnSplit.parent(header);
+		btnSplit.style("margin-left", "6px");
+		btnSplit.mousePressed(() => {
+			let count = parseInt(countInput.value(), 10);
+			if (isNaN(count)) return;
+			layerStack.splitIntoZones(constrain(count, 1, ZoneEditor.MAX_ZONES));
+		});
+
+		let btnRemove = createButton("Remove Zones");
+		btnRemove.parent(header);
+		btnRemove.mousePressed(() => layerStack.removeZones());
+
+		this.list = createDiv();
+		this.list.parent(this.panel);
+	}
+
+	_createRow(layer) {
+		let zone = layer.zone;
+
+		let row = createDiv();
+		row.parent(this.list);
+		row.style("display", "flex");
+		row.style("align-items", "center");
+		row.style("margin-top", "4px");
+		if (layer === layerStack.getActive()) row.style("font-weight", "bold");
+
+		// Clicking the name makes the zone the active layer
+		let nameSpan = createSpan(layer.name);
+		nameSpan.parent(row);
+		nameSpan.style("cursor", "pointer");
+		nameSpan.style("min-width", "60px");
+		nameSpan.mousePressed(() => layerStack.setActive(layerStack.layers.indexOf(layer)));
+
+		// The ring edges can't cross; the rows re-render to show the clamped values
+		let innerSlider = createLabeledSlider(row, "Inner: ", 0, 1, zone.inner, 0.01, 2);
+		innerSlider.changed(() => {
+			zone.inner = min(innerSlider.value(), zone.outer);
+			this.render();
+		});
+		let outerSlider = createLabeledSlider(row, "Outer: ", 0, 1, zone.outer, 0.01, 2);
+		outerSlider.changed(() => {
+			zone.outer = max(outerSlider.value(), zone.inner);
+			this.render();
+		});
+
+		let symmetrySlider = createLabeledSlider(row, "Symmetry: ", 2, 32, zone.symmetry, 1, 0);
+		symmetrySlider.changed(() => {
+			zone.symmetry = symmetrySlider.value();
+		});
+
+		let strokeSlider = createLabeledSlider(row, "Stroke: ", 6, 30, zone.strokeWeight, 0.1, 1);
+		strokeSlider.changed(() => {
+			zone.strokeWeight = strokeSlider.value();
+		});
+
+		let paletteSelect = createSelect();
+		paletteSelect.parent(row);
+		paletteSelect.style("margin-left", "6px");
+		let palettes = paletteManager.palettes;
+		let current = palettes.findIndex((pal) => pal.colors.join() === zone.palette.join());
+		if (current < 0) paletteSelect.option("(custom)", -1);
+		palettes.forEach((pal, i) => paletteSelect.option(pal.name, i));
+		paletteSelect.selected(String(current));
+		paletteSelect.changed(() => {
+			let pal = palettes[parseInt(paletteSelect.value(), 10)];
+			if (!pal) return;
+			zone.palette = pal.colors.slice();
+			layer.drawer.setPalette(zone.palette);
+		});
+
+		let drawerSelect = createSelect();
+		drawerSelect.parent(row);
+		drawerSelect.style("margin-left", "6px");
+		for (let name in ZoneEditor.DRAWERS) drawerSelect.option(name);
+		let drawerName = Object.keys(ZoneEditor.DRAWERS).find(
+			(name) => layer.drawer.constructor === ZoneEditor.DRAWERS[name]
+		);
+		if (drawerName) drawerSelect.selected(drawerName);
+		drawerSelect.changed(() => this.setDrawer(layer, drawerSelect.value()));
+	}
+}
+
+/**
+ * Class: GalleryStore
+ * Keeps sessions in the browser's IndexedDB: the autosaved current session and
+ * the gallery of saved pieces. A session (see captureSession()) holds every
+ * setting plus each layer's artwork as a PNG Blob. Every method returns a Promise.
+ */
+class GalleryStore {
+	static DB_NAME = "kaleidoscope";
+	static DB_VERSION = 1;
+	static AUTOSAVE_KEY = "current";
+
+	constructor() {
+		this.opening = null; // Promise of the open database
+	}
+
+	open() {
+		if (!this.opening) {
+			this.opening = new Promise((resolve, reject) => {
+				if (!window.indexedDB) {
+					reject(new Error("IndexedDB is not available"));
+					return;
+				}
+				let request = indexedDB.open(GalleryStore.DB_NAME, GalleryStore.DB_VERSION);
+				request.onupgradeneeded = () => {
+					let db = request.result;
+					db.createObjectStore("autosave");
+					db.createObjectStore("pieces", { keyPath: "id", autoIncrement: true });
+				};
+				request.onsuccess = () => resolve(request.result);
+				request.onerror = () => reject(request.error);
+			});
+		}
+		return this.opening;
+	}
+
+	getAutosave() {
+		return this._request("autosave", "readonly", (store) => store.get(GalleryStore.AUTOSAVE_KEY));
+	}
+
+	putAutosave(session) {
+		return this._request("autosave", "readwrite", (store) =>
+			store.put(session, GalleryStore.AUTOSAVE_KEY)
+		);
+	}
+
+	// Every saved piece, newest first
+	listPieces() {
+		return this._request("pieces", "readonly", (store) => store.getAll()).then((pieces) =>
+			pieces.sort((a, b) => b.created - a.created || b.id - a.id)
+		);
+	}
+
+	// Add a piece (without an id) or update one; resolves to its id
+	putPiece(piece) {
+		return this._request("pieces", "readwrite", (store) => store.put(piece));
+	}
+
+	deletePiece(id) {
+		return this._request("pieces", "readwrite", (store) => store.delete(id));
+	}
+
+	// Run one request in its own transaction and resolve with its result once committed
+	_request(storeName, mode, makeRequest) {
+		return this.open().then(
+			(db) =>
+				new Promise((resolve, reject) => {
+					let transaction = db.transaction(storeName, mode);
+					let request = makeRequest(transaction.objectStore(storeName));
+					transaction.oncomplete = () => resolve(request.result);
+					transaction.onerror = () => reject(transaction.error);
+					transaction.onabort = () => reject(transaction.error);
+				})
+		);
+	}
+}
+
+/**
+ * Class: GalleryView
+ * Panel listing the saved pieces with their thumbnail, date, symmetry and palette.
+ * Pieces can be reopened, duplicated, renamed or deleted, and the whole gallery
+ * exported to / imported from one zip archive (gallery.json plus the PNGs).
+ * `onOpen(session)` is called to reopen a piece.
+ */
+class GalleryView {
+	static THUMB_SIZE = 160; // Thumbnail width/height in pixels
+	static GRID_COLUMNS = 4;
+	static ARCHIVE_VERSION = 1;
+
+	constructor(store, onOpen) {
+		this.store = store;
+		this.onOpen = onOpen;
+		this.pieces = [];
+		this.thumbUrls = []; // Object URLs of the shown thumbnails, revoked on re-render
+
+		this.panel = createDiv();
+		this.panel.style("margin-top", "8px");
+		this.panel.style("display", "none");
+		this._createControls();
+	}
+
+	// Show or hide the panel; the pieces are reloaded whenever it's shown
+	toggle() {
+		let hidden = this.panel.style("display") === "none";
+		this.panel.style("display", hidden ? "block" : "none");
+		if (hidden) this.refresh();
+	}
+
+	refresh() {
+		return this.store
+			.listPieces()
+			.then((pieces) => {
+				this.pieces = pieces;
+				this._renderGrid();
+			})
+			.catch((err) => this.setStatus("Gallery unavailable: " + err.message));
+	}
+
+	setStatus(text) {
+		this.statusSpan.html(text);
+	}
+
+	// Add the current piece to the gallery
+	saveCurrent() {
+		return Promise.all([captureSession(), createThumbnail(GalleryView.THUMB_SIZE)])
+			.then(([session, thumbnail]) => {
+				let now = Date.now();
+				return this.store.putPiece({
+					name: titleInput.value() || "Kaleidoscope " + session.seed,
+					created: now,
+					updated: now,
+					symmetry: session.settings.symmetry,
+					palette: session.palettes[session.activePalette].colors,
+					thumbnail: thumbnail,
+					session: session,
+				});
+			})
+			.then(() => {
+				this.setStatus("Saved to the gallery");
+				return this.refresh();
+			})
+			.catch((err) => this.setStatus("Could not save: " + err.message));
+	}
+
+	duplicate(piece) {
+		let now = Date.now();
+		let copy = { ...piece, name: piece.name + " copy", created: now, updated: now };
+		delete copy.id; // Stored as a new piece
+		return this.store
+			.putPiece(copy)
+			.then(() => this.refresh())
+			.catch((err) => this.setStatus("Could not duplicate: " + err.message));
+	}
+
+	rename(piece, name) {
+		piece.name = name;
+		piece.updated = Date.now();
+		return this.store
+			.putPiece(piece)
+			.catch((err) => this.setStatus("Could not rename: " + err.message));
+	}
+
+	remove(piece) {
+		return this.store
+			.deletePiece(piece.id)
+			.then(() => this.refresh())
+			.catch((err) => this.setStatus("Could not delete: " + err.message));
+	}
+
+	// Download every piece as one zip: gallery.json describes them and names their PNGs
+	exportArchive() {
+		this.setStatus("Exporting…");
+		return this.store
+			.listPieces()
+			.then((pieces) => {
+				let images = []; // [path in the archive, Blob]
+				let addImage = (path, blob) => {
+					images.push([path, blob]);
+					return path;
+				};
+				let manifest = pieces.map((piece, i) => {
+					let { id, thumbnail, session, ...info } = piece;
+					let dir = `piece-${i + 1}/`;
+					return {
+						...info,
+						thumbnail: addImage(dir + "thumbnail.png", thumbnail),
+						session: {
+							...session,
+							layers: session.layers.map((layer, j) => ({
+								...layer,
+								image: addImage(dir + `layer-${j + 1}.png`, layer.image),
+							})),
+						},
+					};
+				});
+				return Promise.all(images.map(([, blob]) => blob.arrayBuffer())).then((buffers) => {
+					let zip = new ZipWriter();
+					zip.addFile(
+						"gallery.json",
+						JSON.stringify({ version: GalleryView.ARCHIVE_VERSION, pieces: manifest }, null, 2)
+					);
+					images.forEach(([path], i) => zip.addFile(path, new Uint8Array(buffers[i])));
+					downloadBlob(zip.toBlob(), "kaleidoscope-gallery.zip");
+					this.setStatus(`Exported ${pieces.length} pieces`);
+				});
+			})
+			.catch((err) => this.setStatus("Export failed: " + err.message));
+	}
+
+	// Add the pieces of an exported archive (a File) to the gallery
+	importArchive(file) {
+		this.setStatus("Importing…");
+		return file
+			.arrayBuffer()
+			.then((buffer) => {
+				let zip = new ZipReader(buffer);
+				let manifest = JSON.parse(zip.getText("gallery.json") || "null");
+				if (!manifest || !Array.isArray(manifest.pieces)) {
+					throw new Error("no gallery.json in the archive");
+				}
+				let image = (path) => {
+					let data = zip.getFile(path);
+					if (!data) throw new Error(`${path} is missing`);
+					return new Blob([data], { type: "image/png" });
+				};
+				let pieces = manifest.pieces.map((piece) => ({
+					...piece,
+					thumbnail: image(piece.thumbnail),
+					session: {
+						...piece.session,
+						layers: piece.session.layers.map((layer) => ({ ...layer, image: image(layer.image) })),
+					},
+				}));
+				// One after the other, so they keep their order
+				return pieces
+					.reduce((chain, piece) => chain.then(() => this.store.putPiece(piece)), Promise.resolve())
+					.then(() => pieces.length);
+			})
+			.then((count) => {
+				this.setStatus(`Imported ${count} pieces`);
+				return this.refresh();
+			})
+			.catch((err) => this.setStatus("Import failed: " + err.message));
+	}
+
+	_createControls() {
+		let header = createDiv();
+		header.parent(this.panel);
+		header.style("display", "flex");
+		header.style("align-items", "center");
+
+		let label = createSpan("Gallery: ");
+		label.parent(header);
+
+		let btnSave = createButton("Save to Gallery");
+		btnSave.parent(header);
+		btnSave.mousePressed(() => this.saveCurrent());
+
+		let btnExport = createButton("Export Archive");
+		btnExport.parent(header);
+		btnExport.mousePressed(() => this.exportArchive());
+
+		let importLabel = createSpan("Import Archive: ");
+		importLabel.parent(header);
+		importLabel.style("margin-left", "6px");
+		let importInput = createFileInput((file) => {
+			this.importArchive(file.file);
+			importInput.value(""); // Lets the same file be picked again
+		});
+		importInput.parent(header);
+		importInput.attribute("accept", ".zip,application/zip");
+
+		this.statusSpan = createSpan("");
+		this.statusSpan.parent(header);
+		this.statusSpan.style("margin-left", "10px");
+
+		this.grid = createDiv();
+		this.grid.parent(this.panel);
+		this.grid.style("display", "grid");
+		this.grid.style(
+			"grid-template-columns",
+			`repeat(${GalleryView.GRID_COLUMNS}, ${GalleryView.THUMB_SIZE}px)`
+		);
+		this.grid.style("gap", "8px");
+		this.grid.style("margin-top", "6px");
+	}
+
+	_renderGrid() {
+		for (let url of this.thumbUrls) URL.revokeObjectURL(url);
+		this.thumbUrls = [];
+		this.grid.html("");
+		if (this.pieces.length === 0) {
+			let empty = createSpan("No saved pieces yet");
+			empty.parent(this.grid);
+			return;
+		}
+		for (let piece of this.pieces) this._createCard(piece);
+	}
+
+	_createCard(piece) {
+		let size = GalleryView.THUMB_SIZE;
+		let card = createDiv();
+		card.parent(this.grid);
+		card.style("font-size", "12px");
+
+		let url = URL.createObjectURL(piece.thumbnail);
+		this.thumbUrls.push(url);
+		let thumb = createImg(url, piece.name);
+		thumb.parent(card);
+		thumb.size(size, size);
+		thumb.style("display", "block");
+		thumb.style("cursor", "pointer");
+		thumb.style("outline", "1px solid #999");
+		thumb.mousePressed(() => this.onOpen(piece.session));
+
+		let nameInput = createInput(piece.name);
+		nameInput.parent(card);
+		nameInput.style("width", size - 6 + "px");
+		nameInput.style("margin-top", "2px");
+		nameInput.changed(() => this.rename(piece, nameInput.value()));
+
+		let info = createDiv(new Date(piece.created).toLocaleString() + " · Symmetry " + piece.symmetry);
+		info.parent(card);
+
+		let swatches = createDiv();
+		swatches.parent(card);
+		swatches.style("display", "flex");
+		for (let hex of piece.palette) {
+			let swatch = createDiv();
+			swatch.parent(swatches);
+			swatch.style("width", "14px");
+			swatch.style("height", "14px");
+			swatch.style("background", hex);
+		}
+
+		let buttons = createDiv();
+		buttons.parent(card);
+		for (let [text, action] of [
+			["Open", () => this.onOpen(piece.session)],
+			["Duplicate", () => this.duplicate(piece)],
+			["Delete", () => this.remove(piece)],
+		]) {
+			let button = createButton(text);
+			button.parent(buttons);
+			button.mousePressed(action);
+		}
+	}
+}
+
+/**
+ * Class: Layer
+ * One drawing layer: an offscreen buffer the size of the canvas, the drawer
+ * that paints into it, the brush that styles its strokes and the stroke
+ * history used to undo / rebuild it.
+ * Layers are composited over the vinyl background with their own
+ * visibility, opacity and blend mode.
+ *
+ * A layer can also be a ring zone: `zone` is then { inner, outer, symmetry,
+ * palette, strokeWeight }, where inner / outer are fractions of the vinyl's
+ * draw radius and strokeWeight is in pixels at the reference size. The layer's
+ * strokes are clipped to that annulus and use the zone's symmetry, palette and
+ * stroke weight instead of the global ones. `env` is the KaleidoscopeCore env
+ * its drawer runs on, so procedural patterns fit themselves to the ring.
+ */
+class Layer {
+	// Blend modes offered in the layer panel: canvas composite operation + CSS mix-blend-mode
+	static BLEND_MODES = {
+		normal: { composite: "source-over", css: "normal" },
+		multiply: { composite: "multiply", css: "multiply" },
+		screen: { composite: "screen", css: "screen" },
+		add: { composite: "lighter", css: "plus-lighter" },
+		difference: { composite: "difference", css: "difference" },
+	};
+
+	constructor(name, drawer) {
+		this.name = name;
+		this.visible = true;
+		this.opacity = 1;
+		this.blendMode = "normal";
+		this.zone = null; // Ring zone settings, or null to use the whole disc
+		this.symmetrySpec = null; // Cached by getSymmetrySpec() for zones
+
+		let layer = this;
+		this.env = {
+			random: coreEnv.random,
+			noise: coreEnv.noise,
+			get drawRadius() {
+				return layer.zone ? layer.getClipRadii().radius : drawRadius;
+			},
+			get scale() {
+				return coreEnv.scale;
+			},
+			get symmetry() {
+				return layer.zone ? layer.zone.symmetry : symmetry;
+			},
+			get colorMode() {
+				return coreEnv.colorMode;
+			},
+		};
+
+		this.buffer = createLayerBuffer();
+		this.history = new StrokeHistory(this.buffer);
+		this.brush = new Brush();
+		this.setDrawer(drawer);
+	}
+
+	// Hand the layer to a new drawer; its strokes go through this layer's brush
+	// into its buffer and history
+	setDrawer(drawer) {
+		this.drawer = drawer;
+		drawer.layer = this;
+		drawer.target = this.buffer;
+		drawer.history = this.history;
+		drawer.brush = this.brush;
+		if (this.zone) drawer.setPalette(this.zone.palette);
+		this.brush.reset();
+	}
+
+	// Turn the layer into a ring zone (see the class comment), or back into a
+	// whole-disc layer with null
+	setZone(zone) {
+		this.zone = zone;
+		this.symmetrySpec = null;
+		this.drawer.setPalette(zone ? zone.palette : hexPalette);
+	}
+
+	// Clip radii of the layer: its zone's annulus inside the vinyl's clip
+	getClipRadii() {
+		let clip = vinylBackground.getClipRadii();
+		if (!this.zone) return clip;
+		let full = vinylBackground.getDrawRadius();
+		let radius = min(clip.radius, this.zone.outer * full);
+		let innerRadius = min(radius, max(clip.innerRadius, this.zone.inner * full));
+		return { radius: radius, innerRadius: innerRadius };
+	}
+
+	getSymmetrySpec() {
+		if (!this.zone) return getSymmetrySpec();
+		this.symmetrySpec = symmetrySpecFor(this.zone.symmetry, this.symmetrySpec);
+		return this.symmetrySpec;
+	}
+
+	// Stroke weight in canvas pixels: the zone's, or the slider's
+	getStrokeWeight() {
+		if (!this.zone) return currentStrokeWeight();
+		return (this.zone.strokeWeight * canvasSize) / KaleidoscopeCore.REFERENCE_SIZE;
+	}
+
+	// Whether the canvas point (x, y), relative to the center, lies in the zone's ring
+	containsPoint(x, y) {
+		let clip = this.getClipRadii();
+		let r = Math.hypot(x, y);
+		return r >= clip.innerRadius && r < clip.radius;
+	}
+
+	// Erase the layer's artwork and history
+	clear() {
+		this.buffer.clear();
+		this.history.clear();
+	}
+
+	// Move to a new buffer at the current canvasSize and redraw the recorded strokes,
+	// scaled by `factor`, into it. A running procedural drawer carries on at the new scale.
+	resize(factor) {
+		this.buffer.remove();
+		this.buffer = createLayerBuffer();
+		this.history.target = this.buffer;
+		this.history.rescale(factor);
+		this.history.rebuild();
+		if (this.drawer instanceof ProceduralDrawer) this.drawer.rescale(factor);
+		this.setDrawer(this.drawer); // Points the drawer at the new buffer
+	}
+
+	// Let the drawer add this frame's strokes, clipped to the vinyl (or the zone's ring).
+	// A mouse drawer can be handed the pointer `strokes` routed to this layer.
+	drawFrame(strokes) {
+		let g = this.buffer;
+		g.push();
+		g.translate(g.width / 2, g.height / 2); // All drawers assume a centered origin
+		let clip = this.getClipRadii();
+		clipToRing(g.drawingContext, clip.radius, clip.innerRadius);
+		this.drawer.draw(strokes);
+		g.pop(); // Also removes the clip
+	}
+
+	// Free the offscreen buffer
+	remove() {
+		this.buffer.remove();
+	}
+}
+
+/**
+ * Class: LayerStack
+ * The vinyl background plus a stack of drawing layers (bottom to top),
+ * one of which is active: the mouse, the drawer buttons, undo/redo and
+ * Clear all act on the active layer. Also owns the layer panel UI.
+ * `onChange` is called whenever the active layer or its drawer changes.
+ */
+class LayerStack {
+	constructor(onChange) {
+		this.onChange = onChange;
+		this.background = createLayerBuffer(); // Rendered by VinylBackground
+		this.underlay = null; // Canvas shown between the background and the layers (live image wedge)
+		this.layers = [];
+		// refresh() only composites when something changed: an edit set `dirty`,
+		// or a layer's history counted changes since the last composite
+		this.dirty = true;
+		this.compositedChanges = -1;
+		this.activeIndex = 0;
+		this.nextLayerNumber = 1;
+
+		this.panel = createDiv();
+		this.panel.style("margin-top", "8px");
+		this.panel.style("display", "none");
+		this._createControls();
+	}
+
+	getActive() {
+		return this.layers[this.activeIndex];
+	}
+
+	toggle() {
+		let hidden = this.panel.style("display") === "none";
+		this.panel.style("display", hidden ? "block" : "none");
+	}
+
+	// Add a layer on top of the stack and make it active
+	addLayer(drawer) {
+		this.layers.push(new Layer("Layer " + this.nextLayerNumber++, drawer));
+		this.dirty = true;
+		this.setActive(this.layers.length - 1);
+	}
+
+	removeLayer(index) {
+		if (this.layers.length <= 1) return; // Always keep one layer
+		this.layers.splice(index, 1)[0].remove();
+		this.dirty = true;
+		this.setActive(min(this.activeIndex, this.layers.length - 1));
+	}
+
+	setActive(index) {
+		this.activeIndex = constrain(index, 0, this.layers.length - 1);
+		this._changed();
+	}
+
+	// Give the active layer a new drawer and start it on a cleared layer
+	setActiveDrawer(drawer) {
+		this.setLayerDrawer(this.getActive(), drawer);
+	}
+
+	// Give any layer a new drawer and start it on a cleared layer
+	setLayerDrawer(layer, drawer) {
+		layer.setDrawer(drawer);
+		layer.clear();
+		this._changed();
+	}
+
+	// Replace the ring zone layers with `count` equal rings from the center out,
+	// each starting with the current symmetry, palette and stroke weight and a mouse drawer
+	splitIntoZones(count) {
+		for (let layer of this.getZones()) {
+			this.layers.splice(this.layers.indexOf(layer), 1);
+			layer.remove();
+		}
+		for (let i = 0; i < count; i++) {
+			let layer = new Layer("Zone " + (i + 1), new MouseDrawer());
+			layer.setZone({
+				inner: i / count,
+				outer: (i + 1) / count,
+				symmetry: symmetry,
+				palette: hexPalette.slice(),
+				strokeWeight: strokeWeightSlider.value(),
+			});
+			this.layers.push(layer);
+		}
+		this.dirty = true;
+		this.setActive(this.layers.length - 1);
+	}
+
+	// Turn the ring zones back into whole-disc layers, keeping their artwork
+	removeZones() {
+		for (let layer of this.getZones()) layer.setZone(null);
+		this._changed();
+	}
+
+	// The ring zone layers, bottom to top
+	getZones() {
+		return this.layers.filter((layer) => layer.zone);
+	}
+
+	clearAll() {
+		for (let layer of this.layers) layer.clear();
+	}
+
+	// Replace every layer with empty mouse layers described by `entries`
+	// ({ name, visible, opacity, blendMode, brush, zone }), e.g. from a saved session
+	setLayers(entries, activeIndex) {
+		for (let layer of this.layers) layer.remove();
+		this.layers = entries.map((entry) => {
+			let layer = new Layer(entry.name, new MouseDrawer());
+			layer.visible = entry.visible;
+			layer.opacity = entry.opacity;
+			layer.blendMode = entry.blendMode;
+			layer.brush.setSettings(entry.brush);
+			if (entry.zone) layer.setZone({ ...entry.zone, palette: entry.zone.palette.slice() });
+			return layer;
+		});
+		this.nextLayerNumber = this.layers.length + 1;
+		this.dirty = true;
+		this.setActive(activeIndex);
+	}
+
+	// Recreate every buffer at the current canvasSize and re-render the background
+	// and layers, scaling the recorded strokes by `factor`
+	resize(factor) {
+		this.background.remove();
+		this.background = createLayerBuffer();
+		this.renderBackground();
+		for (let layer of this.layers) layer.resize(factor);
+		this.dirty = true;
+	}
+
+	// Redraw the vinyl background (after a palette, size or label change)
+	renderBackground() {
+		vinylBackground.draw(this.background);
+		this.dirty = true;
+	}
+
+	// Run every layer's drawer for one frame. Without ring zones only the active layer
+	// follows the mouse; with them each pointer segment goes to the topmost visible
+	// mouse zone under it, or else to the active layer if that is a whole-disc mouse layer.
+	drawLayers() {
+		let active = this.getActive();
+		let zones = this.layers.filter(
+			(layer) => layer.zone && layer.visible && layer.drawer instanceof MouseDrawer
+		);
+		if (zones.length === 0) {
+			for (let layer of this.layers) {
+				if (layer.drawer instanceof MouseDrawer && layer !== active) continue;
+				layer.drawFrame();
+			}
+			return;
+		}
+
+		let routed = new Map(); // Layer -> pointer segments for it this frame
+		for (let stroke of pointerInput.takeSegments()) {
+			let x = stroke.to.x - width / 2;
+			let y = stroke.to.y - height / 2;
+			let target = zones.findLast((layer) => layer.containsPoint(x, y));
+			if (!target && !active.zone && active.drawer instanceof MouseDrawer) target = active;
+			if (!target) continue;
+			if (!routed.has(target)) routed.set(target, []);
+			routed.get(target).push(stroke);
+		}
+		for (let layer of this.layers) {
+			if (layer.drawer instanceof MouseDrawer) {
+				if (zones.includes(layer) || layer === active) layer.drawFrame(routed.get(layer) || []);
+				continue;
+			}
+			layer.drawFrame();
+		}
+	}
+
+	// Show a new canvas (or null) between the background and the layers
+	setUnderlay(canvas) {
+		if (canvas !== this.underlay) this.dirty = true;
+		this.underlay = canvas;
+	}
+
+	// Composite onto the main canvas if anything changed since the last time.
+	// Flattening the full-resolution buffers is the main per-frame cost, so idle frames skip it.
+	refresh() {
+		if (this.dirty || this._historyChanges() !== this.compositedChanges) this.composite();
+	}
+
+	// Flatten the background and visible layers onto the main canvas
+	composite() {
+		push();
+		resetMatrix();
+		this.compositeTo(drawingContext, width);
+		pop();
+		this.dirty = false;
+		this.compositedChanges = this._historyChanges();
+	}
+
+	// Sum of the layers' history change counters; it grows with every stroke, undo or clear
+	_historyChanges() {
+		return this.layers.reduce((sum, layer) => sum + layer.history.changes, 0);
+	}
+
+	// Flatten the background and visible layers onto any 2D context, `size` pixels square
+	compositeTo(ctx, size) {
+		ctx.save();
+		ctx.drawImage(this.background.elt, 0, 0, size, size);
+		if (this.underlay) ctx.drawImage(this.underlay, 0, 0, size, size);
+		for (let layer of this.layers) {
+			if (!layer.visible || layer.opacity <= 0) continue;
+			ctx.globalAlpha = layer.opacity;
+			ctx.globalCompositeOperation = Layer.BLEND_MODES[layer.blendMode].composite;
+			ctx.drawImage(layer.buffer.elt, 0, 0, size, size);
+		}
+		ctx.restore(); // Restores alpha and composite operation
+	}
+
+	_changed() {
+		this._renderRows();
+		this.onChange(this.getActive());
+	}
+
+	_createControls() {
+		let header = createDiv();
+		header.parent(this.panel);
+		header.style("display", "flex");
+		header.style("align-items", "center");
+
+		let label = createSpan("Layers: ");
+		label.parent(header);
+
+		let btnAdd = createButton("Add Layer");
+		btnAdd.parent(header);
+		btnAdd.mousePressed(() => this.addLayer(new MouseDrawer()));
+
+		let btnClearAll = createButton("Clear All");
+		btnClearAll.parent(header);
+		btnClearAll.mousePressed(() => this.clearAll());
+
+		this.list = createDiv();
+		this.list.parent(this.panel);
+	}
+
+	// One row per layer, topmost first
+	_renderRows() {
+		this.list.html("");
+		for (let i = this.layers.length - 1; i >= 0; i--) {
+			this._createRow(i);
+		}
+	}
+
+	_createRow(index) {
+		let layer = this.layers[index];
+
+		let row = createDiv();
+		row.parent(this.list);
+		row.style("display", "flex");
+		row.style("align-items", "center");
+		row.style("margin-top", "4px");
+		if (index === this.activeIndex) row.style("font-weight", "bold");
+
+		// Clicking the name makes the layer active
+		let drawerName = layer.drawer.constructor.name.replace("Drawer", "");
+		let nameSpan = createSpan(layer.name + " (" + drawerName + ")");
+		nameSpan.parent(row);
+		nameSpan.style("cursor", "pointer");
+		nameSpan.style("min-width", "190px");
+		nameSpan.mousePressed(() => this.setActive(index));
+
+		let visibleBox = createCheckbox("Show", layer.visible);
+		visibleBox.parent(row);
+		visibleBox.changed(() => {
+			layer.visible = visibleBox.checked();
+			this.dirty = true;
+		});
+
+		let opacitySlider = createLabeledSlider(row, "Opacity: ", 0, 1, layer.opacity, 0.05, 2);
+		// Live while dragging (a listener, since .input() would replace the label's handler)
+		opacitySlider.elt.addEventListener("input", () => {
+			layer.opacity = opacitySlider.value();
+			this.dirty = true;
+		});
+
+		let blendSelect = createSelect();
+		blendSelect.parent(row);
+		blendSelect.style("margin-left", "6px");
+		for (let mode in Layer.BLEND_MODES) blendSelect.option(mode);
+		blendSelect.selected(layer.blendMode);
+		blendSelect.changed(() => {
+			layer.blendMode = blendSelect.value();
+			this.dirty = true;
+		});
+
+		let btnClear = createButton("Clear");
+		btnClear.parent(row);
+		btnClear.style("margin-left", "6px");
+		btnClear.mousePressed(() => layer.clear());
+
+		let btnDelete = createButton("Delete");
+		btnDelete.parent(row);
+		btnDelete.mousePressed(() => this.removeLayer(index));
+	}
+}
+
+// Create an offscreen buffer matching the main canvas and its drawing modes
+function createLayerBuffer() {
+	let g = createGraphics(canvasSize, canvasSize);
+	g.pixelDensity(1);
+	g.angleMode(DEGREES);
+	g.colorMode(HSB, 360, 100, 100);
+	return g;
+}
+
+// Global wave editor panel (created in setup)
+let waveEditor;
+
+// Global palette manager panel (created in setup)
+let paletteManager;
+
+// Global explore view of evolving auto-drawer previews (created in setup)
+let exploreView;
+
+// --- Procedural Drawer Selection ---
+let drawerSelect; // Chooses which ProceduralDrawer "Auto Draw" starts
+let flowFieldDiv; // Flow-field controls, only shown when that drawer is selected
+let particleCountSlider;
+let noiseScaleSlider;
+let noiseSpeedSlider;
+let lifetimeSlider;
+let spirographDiv; // Spirograph controls, only shown when that drawer is selected
+let ringTeethSlider;
+let gearTeethSlider;
+let penOffsetSlider;
+let spiroLayersSlider;
+let spiroTypeSelect;
+let spiroOnCloseSelect;
+
+// --- Audio ---
+let audioTrack; // p5.SoundFile chosen by the user
+let audioStatusSpan;
+let symmetryValueSpan;
+let symmetryModeSelect;
+let mirrorOptionsSpan; // Mode settings, only shown for their symmetry mode
+let mirrorAxisSlider;
+let spiralOptionsSpan;
+let spiralScaleSlider;
+let spiralTwistSlider;
+let radialOptionsSpan;
+let radialRingsSlider;
+
+// Brush UI (edits the active layer's brush)
+let brushStyleSelect;
+let brushSmoothingSelect;
+let brushLagSlider;
+let brushTaperSlider;
+let brushNibSlider;
+
+// --- Recording ---
+let canvasRecorder;
+let recordButton;
+let recordFormatSelect;
+let recordSizeSelect;
+let recordFpsSelect;
+let recordStatusSpan;
+
+// --- Turntable Preview ---
+let turntablePreview;
+let previewButton;
+let previewRpmSelect;
+let previewBlurCheckbox;
+
+// --- Automation Timeline ---
+let timeline; // Keyframes for the live sliders (created in setup)
+
+// --- Image Wedge ---
+let imageWedge; // Photo kaleidoscope panel (created in setup)
+
+// --- Ring Zones ---
+let zoneEditor; // Ring zone panel (created in setup)
+
+// --- Autosave & Gallery ---
+const AUTOSAVE_INTERVAL = 20000; // ms between autosave checks (see autosaveSession())
+let galleryStore;
+let galleryView;
+let lastAutosave = null; // sessionSignature() of the last autosaved state
+let pendingAutosave = null; // sessionSignature() at the last check, saved once it holds still
+let autosaving = false;
+
+// --- Remote Control ---
+let remoteControl; // RemoteControl, only when the page is opened with ?remote
+
+// --- Print Export ---
+let printPresetSelect;
+let printStatusSpan;
+
+// --- Vinyl Label / Details ---
+let vinylDetailsCheckbox;
+let labelSizeSlider;
+let labelColorPicker;
+let clipModeSelect;
+let artistInput;
+let titleInput;
+let sideInput;
+
+// --- Main p5.js Functions ---
+
+function setup() {
+	// Read the shareable parameters first so sliders can start from them
+	urlParams = Object.fromEntries(new URLSearchParams(window.location.search));
+	sessionSeed =
+		urlParams.seed !== undefined && !isNaN(parseInt(urlParams.seed))
+			? parseInt(urlParams.seed)
+			: newSeed();
+	symmetry = round(urlParamNumber("symmetry", symmetry, 2, 32));
+	let sizeParam = urlParamNumber("size", canvasSize);
+	if (CANVAS_SIZES.includes(sizeParam) && canvasSizeError(sizeParam, 1) === null) {
+		canvasSize = sizeParam;
+	}
+
+	// Create buttons *before* the canvas to place them on top
+	let btnMouse = createButton("Mouse Draw");
+	btnMouse.mousePressed(setMouseDrawer);
+
+	let btnAuto = createButton("Auto Draw");
+	btnAuto.mousePressed(setAutoDrawer);
+
+	// Drawer selector: which procedural drawer "Auto Draw" uses
+	drawerSelect = createSelect();
+	drawerSelect.option("Sinusoidal");
+	drawerSelect.option("Flow Field");
+	drawerSelect.option("Spirograph");
+	if (urlParams.drawer) drawerSelect.selected(urlParams.drawer);
+	drawerSelect.changed(() => {
+		updateDrawerControls();
+		// Restart right away if the active layer runs an auto drawer
+		if (currentDrawer instanceof ProceduralDrawer) setAutoDrawer();
+	});
+
+	// Create Pause/Play button for auto draw
+	autoPauseButton = createButton("Pause Auto");
+	autoPauseButton.mousePressed(toggleAutoPause);
+
+	// Create Clear button (clears the active layer)
+	let btnClear = createButton("Clear");
+	btnClear.mousePressed(clearCanvas);
+
+	// Create Undo/Redo buttons (also Ctrl+Z / Ctrl+Shift+Z)
+	let btnUndo = createButton("Undo");
+	btnUndo.mousePressed(undoStroke);
+
+	let btnRedo = createButton("Redo");
+	btnRedo.mousePressed(redoStroke);
+
+	// Internal resolution of the canvas and its exports
+	canvasSizeSelect = createSelect();
+	for (let size of CANVAS_SIZES) {
+		canvasSizeSelect.option(size + "px", size);
+	}
+	canvasSizeSelect.selected(String(canvasSize));
+	canvasSizeSelect.changed(() => applyCanvasSize(parseInt(canvasSizeSelect.value())));
+	canvasSizeStatusSpan = createSpan("");
+	canvasSizeStatusSpan.style("margin-left", "6px");
 
 	// Create Save button for high-resolution export
-	let btnSave = createButton("Save (4000x4000)");
-	btnSave.mousePressed(() => {
-		save('kaleidoscope-4000x4000.png');
-	});
+	saveButton = createButton("");
+	saveButton.mousePressed(saveImage);
+	updateSaveButton();
+
+	// Create Export SVG button (vector version built from the stroke history)
+	let btnSvg = createButton("Export SVG");
+	btnSvg.mousePressed(exportSVG);
+
+	// Print presets (jacket / sleeve / label at 300 DPI)
+	printPresetSelect = createSelect();
+	for (let key in PrintExporter.PRESETS) {
+		printPresetSelect.option(PrintExporter.PRESETS[key].name, key);
+	}
+	let btnPrint = createButton("Export Print");
+	btnPrint.mousePressed(exportPrint);
+	printStatusSpan = createSpan("");
+	printStatusSpan.style("margin-left", "6px");
 
 	// --- Create Slider with Label and Value ---
 	// Create a container div for the slider UI
@@ -428,7 +5075,7 @@ function setup() {
 	vinylLabel.parent(vinylDiv);
 
 	// Range 0.5 to 1.0 (percentage of canvas), default 0.85
-	vinylSlider = createSlider(0.5, 1.0, 0.85, 0.01);
+	vinylSlider = createSlider(0.5, 1.0, urlParamNumber("vinyl", 0.85, 0.5, 1.0), 0.01);
 	vinylSlider.parent(vinylDiv);
 	vinylSlider.style("margin", "0 10px");
 
@@ -441,7 +5088,8 @@ function setup() {
 		vinylBackground.setVinylSize(vinylSlider.value());
 		// Update global drawRadius for drawer compatibility
 		drawRadius = vinylBackground.getDrawRadius();
-		clearCanvas();
+		layerStack.renderBackground();
+		layerStack.clearAll();
 	});
 
 	// Create the text label
@@ -455,14 +5103,74 @@ function setup() {
 	symmetrySlider.style("margin", "0 10px"); // Add horizontal spacing
 
 	// Create the span to display the slider's value
-	let valueSpan = createSpan(symmetry);
-	valueSpan.parent(sliderDiv);
+	symmetryValueSpan = createSpan(symmetry);
+	symmetryValueSpan.parent(sliderDiv);
 
-	// Add an event listener to update the valueSpan whenever the slider moves
+	// Add an event listener to update the symmetryValueSpan whenever the slider moves
 	symmetrySlider.input(() => {
-		valueSpan.html(symmetrySlider.value());
+		symmetryValueSpan.html(symmetrySlider.value());
 	});
 
+	// Symmetry mode (how every drawer repeats strokes) and its settings
+	symmetryModeSelect = createSelect();
+	symmetryModeSelect.parent(sliderDiv);
+	symmetryModeSelect.option("Rotation", "rotation");
+	symmetryModeSelect.option("Dihedral", "dihedral");
+	symmetryModeSelect.option("Mirror", "mirror");
+	symmetryModeSelect.option("Spiral", "spiral");
+	symmetryModeSelect.option("Radial rings", "radial");
+	symmetryModeSelect.selected(urlParams.symMode || symmetryMode);
+	symmetryModeSelect.changed(updateSymmetryControls);
+
+	mirrorOptionsSpan = createSpan();
+	mirrorOptionsSpan.parent(sliderDiv);
+	mirrorOptionsSpan.style("align-items", "center");
+	mirrorAxisSlider = createLabeledSlider(
+		mirrorOptionsSpan,
+		"Axis: ",
+		0,
+		180,
+		urlParamNumber("axis", mirrorAxis, 0, 180),
+		1,
+		0
+	);
+
+	spiralOptionsSpan = createSpan();
+	spiralOptionsSpan.parent(sliderDiv);
+	spiralOptionsSpan.style("align-items", "center");
+	spiralScaleSlider = createLabeledSlider(
+		spiralOptionsSpan,
+		"Scale: ",
+		0.5,
+		1,
+		urlParamNumber("spiralScale", spiralScale, 0.5, 1),
+		0.01,
+		2
+	);
+	spiralTwistSlider = createLabeledSlider(
+		spiralOptionsSpan,
+		"Twist: ",
+		-45,
+		45,
+		urlParamNumber("twist", spiralTwist, -45, 45),
+		1,
+		0
+	);
+
+	radialOptionsSpan = createSpan();
+	radialOptionsSpan.parent(sliderDiv);
+	radialOptionsSpan.style("align-items", "center");
+	radialRingsSlider = createLabeledSlider(
+		radialOptionsSpan,
+		"Rings: ",
+		2,
+		8,
+		urlParamNumber("rings", radialRings, 2, 8),
+		1,
+		0
+	);
+	updateSymmetryControls();
+
 	// --- Color Rate Slider (controls colorInterpolationSpeed) ---
 	let colorDiv = createDiv();
 	colorDiv.style("margin-top", "8px");
@@ -473,7 +5181,7 @@ function setup() {
 	colorLabel.parent(colorDiv);
 
 	// Min 0, Max 0.2, default 0.01, step 0.005
-	colorRateSlider = createSlider(0, 0.9, 0.5, 0.005);
+	colorRateSlider = createSlider(0, 0.9, urlParamNumber("colorRate", 0.5, 0, 0.9), 0.005);
 	colorRateSlider.parent(colorDiv);
 	colorRateSlider.style("margin", "0 10px");
 
@@ -484,6 +5192,24 @@ function setup() {
 		colorRateValueSpan.html(nf(colorRateSlider.value(), 0, 3));
 	});
 
+	// Color mapping mode (how every drawer picks colors from the palette)
+	let colorModeLabel = createSpan("Color mode: ");
+	colorModeLabel.parent(colorDiv);
+	colorModeLabel.style("margin-left", "10px");
+
+	colorModeSelect = createSelect();
+	colorModeSelect.parent(colorDiv);
+	colorModeSelect.option("Time cycle", "time");
+	colorModeSelect.option("Radial bands", "radial");
+	colorModeSelect.option("Wedge angle", "angle");
+	colorModeSelect.option("Stroke speed", "speed");
+	colorModeSelect.option("Hue cycle", "hue");
+	if (urlParams.colorMode) colorModeSelect.selected(urlParams.colorMode);
+	colorMappingMode = colorModeSelect.value();
+	colorModeSelect.changed(() => {
+		colorMappingMode = colorModeSelect.value();
+	});
+
 	// --- Stroke Weight Slider (controls strokeWeight for all drawers) ---
 	let swDiv = createDiv();
 	swDiv.style("margin-top", "8px");
@@ -494,7 +5220,12 @@ function setup() {
 	swLabel.parent(swDiv);
 
 	// Range 0.1 to 10.0, default 3, step 0.1
-	strokeWeightSlider = createSlider(6.0, 30.0, 12.0, 0.1);
+	strokeWeightSlider = createSlider(
+		6.0,
+		30.0,
+		urlParamNumber("strokeWeight", 12.0, 6.0, 30.0),
+		0.1
+	);
 	strokeWeightSlider.parent(swDiv);
 	strokeWeightSlider.style("margin", "0 10px");
 
@@ -505,6 +5236,41 @@ function setup() {
 		swValueSpan.html(nf(strokeWeightSlider.value(), 0, 1));
 	});
 
+	// --- Brush UI (style and smoothing of the active layer's strokes) ---
+	let brushDiv = createDiv();
+	brushDiv.style("margin-top", "8px");
+	brushDiv.style("display", "flex");
+	brushDiv.style("align-items", "center");
+
+	let brushLabel = createSpan("Brush: ");
+	brushLabel.parent(brushDiv);
+
+	brushStyleSelect = createSelect();
+	brushStyleSelect.parent(brushDiv);
+	for (let style of Brush.STYLES) brushStyleSelect.option(style);
+
+	let smoothingLabel = createSpan("Smoothing: ");
+	smoothingLabel.parent(brushDiv);
+	smoothingLabel.style("margin-left", "10px");
+
+	brushSmoothingSelect = createSelect();
+	brushSmoothingSelect.parent(brushDiv);
+	for (let smoothing of Brush.SMOOTHING) brushSmoothingSelect.option(smoothing);
+
+	brushLagSlider = createLabeledSlider(brushDiv, "Lag: ", 0, 0.95, 0.5, 0.05, 2);
+	brushTaperSlider = createLabeledSlider(brushDiv, "Taper: ", 0, 1, 0, 0.05, 2);
+	brushNibSlider = createLabeledSlider(brushDiv, "Nib angle: ", 0, 180, 45, 1, 0);
+	for (let control of [
+		brushStyleSelect,
+		brushSmoothingSelect,
+		brushLagSlider,
+		brushTaperSlider,
+		brushNibSlider,
+	]) {
+		control.changed(applyBrushSettings);
+	}
+	// --- End Brush UI ---
+
 	// --- Draw Speed Slider (controls tIncrement for auto drawer) ---
 	let speedDiv = createDiv();
 	speedDiv.style("margin-top", "8px");
@@ -516,7 +5282,7 @@ function setup() {
 
 	// Min 0 (paused via pause button), Max 10.0 (faster), default 0.01, step 0.005
 	// Note: default remains small so auto-draw is smooth; users can increase up to 10 for faster motion
-	drawSpeedSlider = createSlider(0, 10.0, 5, 0.005);
+	drawSpeedSlider = createSlider(0, 10.0, urlParamNumber("drawSpeed", 5, 0, 10.0), 0.005);
 	drawSpeedSlider.parent(speedDiv);
 	drawSpeedSlider.style("margin", "0 10px");
 
@@ -528,23 +5294,357 @@ function setup() {
 	});
 	// --- End Slider UI ---
 
-	// Create high-resolution canvas (4000x4000 internal resolution)
-	let cnv = createCanvas(INTERNAL_CANVAS_SIZE, INTERNAL_CANVAS_SIZE);
-	canvasScale = INTERNAL_CANVAS_SIZE / DISPLAY_SIZE; // Calculate scaling factor
-	
-	// Scale down canvas display via CSS transform to show at 900x900
+	// --- Seed UI ---
+	let seedDiv = createDiv();
+	seedDiv.style("margin-top", "8px");
+	seedDiv.style("display", "flex");
+	seedDiv.style("align-items", "center");
+
+	let seedLabel = createSpan("Seed: ");
+	seedLabel.parent(seedDiv);
+
+	seedInput = createInput(String(sessionSeed));
+	seedInput.parent(seedDiv);
+	seedInput.style("margin", "0 10px");
+	seedInput.style("width", "110px");
+
+	let btnApplySeed = createButton("Apply Seed");
+	btnApplySeed.parent(seedDiv);
+	btnApplySeed.mousePressed(() => {
+		let value = parseInt(seedInput.value());
+		if (!isNaN(value)) applySeed(value);
+	});
+
+	let btnNewSeed = createButton("New Seed");
+	btnNewSeed.parent(seedDiv);
+	btnNewSeed.mousePressed(() => applySeed(newSeed()));
+
+	let btnCopyLink = createButton("Copy Link");
+	btnCopyLink.parent(seedDiv);
+	btnCopyLink.mousePressed(copyShareLink);
+	// --- End Seed UI ---
+
+	// --- Flow Field Controls (shown when "Flow Field" is selected) ---
+	flowFieldDiv = createDiv();
+	flowFieldDiv.style("margin-top", "8px");
+	flowFieldDiv.style("align-items", "center");
+
+	particleCountSlider = createLabeledSlider(
+		flowFieldDiv,
+		"Particles: ",
+		10,
+		500,
+		urlParamNumber("particles", 150, 10, 500),
+		1,
+		0
+	);
+	noiseScaleSlider = createLabeledSlider(
+		flowFieldDiv,
+		"Noise scale: ",
+		0.0001,
+		0.004,
+		urlParamNumber("noiseScale", 0.0008, 0.0001, 0.004),
+		0.0001,
+		4
+	);
+	noiseSpeedSlider = createLabeledSlider(
+		flowFieldDiv,
+		"Evolution: ",
+		0,
+		0.02,
+		urlParamNumber("noiseSpeed", 0.002, 0, 0.02),
+		0.0005,
+		4
+	);
+	lifetimeSlider = createLabeledSlider(
+		flowFieldDiv,
+		"Lifetime: ",
+		10,
+		600,
+		urlParamNumber("lifetime", 120, 10, 600),
+		1,
+		0
+	);
+	// --- End Flow Field Controls ---
+
+	// --- Spirograph Controls (shown when "Spirograph" is selected) ---
+	// Gear settings take effect the next time "Auto Draw" starts the drawer
+	spirographDiv = createDiv();
+	spirographDiv.style("margin-top", "8px");
+	spirographDiv.style("align-items", "center");
+
+	ringTeethSlider = createLabeledSlider(
+		spirographDiv,
+		"Ring: ",
+		24,
+		160,
+		urlParamNumber("ring", 96, 24, 160),
+		1,
+		0
+	);
+	gearTeethSlider = createLabeledSlider(
+		spirographDiv,
+		"Gear: ",
+		4,
+		150,
+		urlParamNumber("gear", 52, 4, 150),
+		1,
+		0
+	);
+	penOffsetSlider = createLabeledSlider(
+		spirographDiv,
+		"Pen: ",
+		0.05,
+		1.5,
+		urlParamNumber("pen", 0.8, 0.05, 1.5),
+		0.05,
+		2
+	);
+	spiroLayersSlider = createLabeledSlider(
+		spirographDiv,
+		"Layers: ",
+		1,
+		6,
+		urlParamNumber("layers", 1, 1, 6),
+		1,
+		0
+	);
+
+	spiroTypeSelect = createSelect();
+	spiroTypeSelect.parent(spirographDiv);
+	spiroTypeSelect.option("Hypotrochoid", "hypo");
+	spiroTypeSelect.option("Epitrochoid", "epi");
+	if (urlParams.spiroType) spiroTypeSelect.selected(urlParams.spiroType);
+
+	spiroOnCloseSelect = createSelect();
+	spiroOnCloseSelect.parent(spirographDiv);
+	spiroOnCloseSelect.style("margin-left", "6px");
+	spiroOnCloseSelect.option("Stop when closed", "stop");
+	spiroOnCloseSelect.option("Next gears when closed", "next");
+	if (urlParams.onClose) spiroOnCloseSelect.selected(urlParams.onClose);
+	// --- End Spirograph Controls ---
+
+	updateDrawerControls();
+
+	// --- Vinyl Label / Details UI ---
+	let labelDiv = createDiv();
+	labelDiv.style("margin-top", "8px");
+	labelDiv.style("display", "flex");
+	labelDiv.style("align-items", "center");
+
+	vinylDetailsCheckbox = createCheckbox("Record details", true);
+	vinylDetailsCheckbox.parent(labelDiv);
+	vinylDetailsCheckbox.changed(applyVinylStyle);
+
+	labelSizeSlider = createLabeledSlider(labelDiv, "Label size: ", 0.2, 0.6, 0.34, 0.01, 2);
+	labelSizeSlider.changed(applyVinylStyle);
+
+	let labelColorLabel = createSpan("Label color: ");
+	labelColorLabel.parent(labelDiv);
+	labelColorLabel.style("margin-left", "6px");
+	labelColorPicker = createColorPicker("#E5E5E3");
+	labelColorPicker.parent(labelDiv);
+	labelColorPicker.changed(applyVinylStyle);
+
+	let clipLabel = createSpan("Draw on: ");
+	clipLabel.parent(labelDiv);
+	clipLabel.style("margin-left", "10px");
+	clipModeSelect = createSelect();
+	clipModeSelect.parent(labelDiv);
+	clipModeSelect.option("Whole disc", "both");
+	clipModeSelect.option("Grooves only", "grooves");
+	clipModeSelect.option("Label only", "label");
+	clipModeSelect.changed(applyVinylStyle);
+
+	let labelTextDiv = createDiv();
+	labelTextDiv.style("margin-top", "8px");
+	labelTextDiv.style("display", "flex");
+	labelTextDiv.style("align-items", "center");
+
+	artistInput = createLabeledInput(labelTextDiv, "Artist: ", "", "140px");
+	titleInput = createLabeledInput(labelTextDiv, "Title: ", "", "180px");
+	sideInput = createLabeledInput(labelTextDiv, "Side: ", "A", "30px");
+	// --- End Vinyl Label / Details UI ---
+
+	// --- Wave Editor Panel (hidden until toggled) ---
+	let btnWaves = createButton("Wave Editor");
+	btnWaves.style("margin-top", "8px");
+	btnWaves.mousePressed(() => waveEditor.toggle());
+	waveEditor = new WaveEditor();
+
+	// --- Layer Panel (hidden until toggled) ---
+	let btnLayers = createButton("Layers");
+	btnLayers.style("margin-top", "8px");
+	btnLayers.mousePressed(() => layerStack.toggle());
+	layerStack = new LayerStack(setActiveLayer);
+
+	// --- Palette Manager Panel (hidden until toggled) ---
+	let btnPalettes = createButton("Palettes");
+	btnPalettes.style("margin-top", "8px");
+	btnPalettes.mousePressed(() => paletteManager.toggle());
+	paletteManager = new PaletteManager(applyPalette);
+	// A shared link can carry its palette (?palette=232327,A7A5A3,...)
+	if (urlParams.palette) {
+		let colors = PaletteManager.parseHexList(urlParams.palette.replace(/,/g, " "));
+		if (colors.length) paletteManager.addPalette("Shared", colors);
+	}
+
+	// --- Explore Panel (hidden until toggled) ---
+	let btnExplore = createButton("Explore");
+	btnExplore.style("margin-top", "8px");
+	btnExplore.mousePressed(() => exploreView.toggle());
+	exploreView = new ExploreView(useExploredGenome);
+
+	// --- Gallery Panel (hidden until toggled) ---
+	let btnGallery = createButton("Gallery");
+	btnGallery.style("margin-top", "8px");
+	btnGallery.mousePressed(() => galleryView.toggle());
+	galleryStore = new GalleryStore();
+	galleryView = new GalleryView(galleryStore, openSession);
+
+	// --- Timeline Panel (hidden until toggled) ---
+	let btnTimeline = createButton("Timeline");
+	btnTimeline.style("margin-top", "8px");
+	btnTimeline.mousePressed(() => timeline.toggle());
+	timeline = new Timeline(getAutomatedSliders());
+
+	// --- Image Wedge Panel (hidden until toggled) ---
+	let btnImageWedge = createButton("Image Wedge");
+	btnImageWedge.style("margin-top", "8px");
+	btnImageWedge.mousePressed(() => imageWedge.toggle());
+	imageWedge = new ImageWedge();
+
+	// --- Ring Zones Panel (hidden until toggled) ---
+	let btnZones = createButton("Zones");
+	btnZones.style("margin-top", "8px");
+	btnZones.mousePressed(() => zoneEditor.toggle());
+	zoneEditor = new ZoneEditor();
+
+	// --- Audio Draw UI ---
+	let audioDiv = createDiv();
+	audioDiv.style("margin-top", "8px");
+	audioDiv.style("display", "flex");
+	audioDiv.style("align-items", "center");
+
+	let audioLabel = createSpan("Audio: ");
+	audioLabel.parent(audioDiv);
+
+	let audioInput = createFileInput(loadAudioTrack);
+	audioInput.parent(audioDiv);
+	audioInput.attribute("accept", "audio/*");
+
+	let btnPlay = createButton("Play");
+	btnPlay.parent(audioDiv);
+	btnPlay.mousePressed(playAudioTrack);
+
+	let btnPauseAudio = createButton("Pause");
+	btnPauseAudio.parent(audioDiv);
+	btnPauseAudio.mousePressed(() => {
+		if (audioTrack && audioTrack.isPlaying()) audioTrack.pause();
+	});
+
+	let btnStopAudio = createButton("Stop");
+	btnStopAudio.parent(audioDiv);
+	btnStopAudio.mousePressed(() => {
+		if (audioTrack) audioTrack.stop();
+	});
+
+	let btnRender = createButton("Render Whole Track");
+	btnRender.parent(audioDiv);
+	btnRender.mousePressed(renderWholeTrack);
+
+	audioStatusSpan = createSpan("No track loaded");
+	audioStatusSpan.parent(audioDiv);
+	audioStatusSpan.style("margin-left", "10px");
+	// --- End Audio Draw UI ---
+
+	// --- Recording UI ---
+	let recordDiv = createDiv();
+	recordDiv.style("margin-top", "8px");
+	recordDiv.style("display", "flex");
+	recordDiv.style("align-items", "center");
+
+	let recordLabel = createSpan("Record: ");
+	recordLabel.parent(recordDiv);
+
+	recordFormatSelect = createSelect();
+	recordFormatSelect.parent(recordDiv);
+	recordFormatSelect.option("WebM video", "webm");
+	recordFormatSelect.option("PNG frames (zip)", "png");
+
+	recordSizeSelect = createSelect();
+	recordSizeSelect.parent(recordDiv);
+	recordSizeSelect.style("margin-left", "6px");
+	for (let size of [720, 1080, 2000, 4000]) {
+		recordSizeSelect.option(size + "px", size);
+	}
+	recordSizeSelect.selected(1080);
+
+	recordFpsSelect = createSelect();
+	recordFpsSelect.parent(recordDiv);
+	recordFpsSelect.style("margin-left", "6px");
+	for (let fps of [24, 30, 60]) {
+		recordFpsSelect.option(fps + " fps", fps);
+	}
+	recordFpsSelect.selected(30);
+
+	recordButton = createButton("Start Recording");
+	recordButton.parent(recordDiv);
+	recordButton.style("margin-left", "6px");
+	recordButton.mousePressed(toggleRecording);
+
+	recordStatusSpan = createSpan("");
+	recordStatusSpan.parent(recordDiv);
+	recordStatusSpan.style("margin-left", "10px");
+	// --- End Recording UI ---
+
+	// --- Turntable Preview UI ---
+	let previewDiv = createDiv();
+	previewDiv.style("margin-top", "8px");
+	previewDiv.style("display", "flex");
+	previewDiv.style("align-items", "center");
+
+	let previewLabel = createSpan("Spin preview: ");
+	previewLabel.parent(previewDiv);
+
+	previewRpmSelect = createSelect();
+	previewRpmSelect.parent(previewDiv);
+	for (let label in TurntablePreview.SPEEDS) {
+		previewRpmSelect.option(label + " RPM", label);
+	}
+	previewRpmSelect.changed(() => {
+		turntablePreview.rpm = TurntablePreview.SPEEDS[previewRpmSelect.value()];
+	});
+
+	previewBlurCheckbox = createCheckbox("Motion blur", false);
+	previewBlurCheckbox.parent(previewDiv);
+	previewBlurCheckbox.style("margin-left", "6px");
+	previewBlurCheckbox.changed(() => {
+		turntablePreview.motionBlur = previewBlurCheckbox.checked();
+	});
+
+	previewButton = createButton("Start Preview");
+	previewButton.parent(previewDiv);
+	previewButton.style("margin-left", "6px");
+	previewButton.mousePressed(togglePreview);
+	// --- End Turntable Preview UI ---
+
+	// Create high-resolution canvas (canvasSize x canvasSize internal resolution)
+	mainCanvas = createCanvas(canvasSize, canvasSize);
+	pixelDensity(1); // Keep the canvas and its layer buffers at exactly canvasSize
+
 	// Using transform-origin to scale from top-left corner
-	cnv.style('width', INTERNAL_CANVAS_SIZE + 'px');
-	cnv.style('height', INTERNAL_CANVAS_SIZE + 'px');
-	cnv.style('transform', `scale(${DISPLAY_SIZE / INTERNAL_CANVAS_SIZE})`);
-	cnv.style('transform-origin', '0 0');
-	
+	mainCanvas.style('transform-origin', '0 0');
+
 	// Create a wrapper div to contain the scaled canvas
-	let canvasWrapper = createDiv('');
-	canvasWrapper.style('width', DISPLAY_SIZE + 'px');
-	canvasWrapper.style('height', DISPLAY_SIZE + 'px');
+	canvasWrapper = createDiv('');
 	canvasWrapper.style('overflow', 'hidden');
-	cnv.parent(canvasWrapper);
+	mainCanvas.parent(canvasWrapper);
+	fitCanvasToWindow();
+
+	canvasRecorder = new CanvasRecorder(mainCanvas.elt);
+	turntablePreview = new TurntablePreview(mainCanvas.elt);
+	pointerInput = new PointerInput(mainCanvas.elt);
 	
 	angleMode(DEGREES);
 	// Set colorMode to HSB for the procedural drawer's smooth colors
@@ -553,75 +5653,793 @@ function setup() {
 	// function will correctly parse the hex codes regardless.
 	colorMode(HSB, 360, 100, 100);
 
-	// Create vinyl background singleton with slider default
-	vinylBackground = new VinylBackground(vinylSlider.value());
-	// Initialize global drawRadius from vinyl background
-	drawRadius = vinylBackground.getDrawRadius();
-	vinylDiscDiameter = vinylBackground.getVinylDiscDiameter();
+	// Create vinyl background singleton with slider default (seeded color pick)
+	resetVinylBackground();
 
-	// Create instances of both drawers
-	mouseDrawer = new MouseDrawer();
-	autoDrawer = new SinusoidalDrawer();
+	// Start with a single layer drawn with the mouse
+	layerStack.addLayer(new MouseDrawer());
 
-	// Set the mouse-drawer as the default one to start
-	currentDrawer = mouseDrawer;
+	// A shared seed link reproduces an auto-drawn vinyl, so start it right away;
+	// otherwise pick up the autosaved session
+	if (urlParams.seed !== undefined) setAutoDrawer();
+	startAutosave(urlParams.seed === undefined);
 
-	clearCanvas(); // Use the new function to set the background
-	// Note: clearCanvas() is called *after* drawers are created
-	// so that drawRadius is defined when the SinusoidalDrawer constructor runs.
+	// Remote control through relay.js: ?remote uses the relay that served the page,
+	// ?remote=ws://host:port any other one. The relay only accepts pages it served itself.
+	if (urlParams.remote !== undefined) {
+		remoteControl = new RemoteControl(
+			urlParams.remote ||
+				`ws://${window.location.host || "localhost:" + RemoteControl.DEFAULT_PORT}`,
+			{
+				symmetry: symmetrySlider,
+				vinyl: vinylSlider,
+				colorRate: colorRateSlider,
+				strokeWeight: strokeWeightSlider,
+				drawSpeed: drawSpeedSlider,
+			},
+			{
+				clear: clearCanvas,
+				autoDraw: setAutoDrawer,
+				togglePause: toggleAutoPause,
+				save: saveImage,
+			}
+		);
+	}
 }
 
 function draw() {
+	// Keyframed sliders move first, so everything below reads their automated values
+	timeline.update(deltaTime);
+
 	// --- Update symmetry from slider ---
 	// Read the slider's value on every frame
 	symmetry = symmetrySlider.value();
 	angle = 360 / symmetry;
+	symmetryMode = symmetryModeSelect.value();
+	mirrorAxis = mirrorAxisSlider.value();
+	spiralScale = spiralScaleSlider.value();
+	spiralTwist = spiralTwistSlider.value();
+	radialRings = radialRingsSlider.value();
 	// --- End update ---
 
-	// Move 0,0 to the center (all drawers assume this)
-	translate(width / 2, height / 2);
-
-	// --- Create a circular clipping mask ---
-	// This restricts all drawing to a circle.
-	drawingContext.save(); // Save the current drawing state
-	drawingContext.beginPath();
-	// Create an arc at 0,0 (which is the center) with our radius from vinylBackground
-	// This now perfectly matches the white label circle
-	drawingContext.arc(0, 0, vinylBackground.getDrawRadius(), 0, TWO_PI, true);
-	drawingContext.clip(); // Apply the clip
-
-	// Call the draw method of whichever drawer is active
-	// It will now use the updated global 'symmetry' and 'angle'
-	// Update drawers' colorInterpolationSpeed from the slider so it's live
+	// Update drawers' colorInterpolationSpeed and draw speed from the sliders so they're live
 	let newColorRate = colorRateSlider ? colorRateSlider.value() : 0.01;
-	if (mouseDrawer) mouseDrawer.colorInterpolationSpeed = newColorRate;
-	if (autoDrawer) autoDrawer.colorInterpolationSpeed = newColorRate;
-
-	// Update draw speed for auto drawer from slider
 	let newDrawSpeed = drawSpeedSlider ? drawSpeedSlider.value() : 0.01;
-	if (autoDrawer) autoDrawer.tIncrement = newDrawSpeed;
+	for (let layer of layerStack.layers) {
+		let drawer = layer.drawer;
+		drawer.colorInterpolationSpeed = newColorRate;
+		if (drawer instanceof ProceduralDrawer) drawer.tIncrement = newDrawSpeed;
+
+		// Update flow-field parameters from their sliders so they're live
+		if (drawer instanceof FlowFieldDrawer) {
+			drawer.pattern.particleCount = particleCountSlider.value();
+			drawer.pattern.noiseScale = noiseScaleSlider.value();
+			drawer.pattern.noiseSpeed = noiseSpeedSlider.value();
+			drawer.pattern.lifetime = lifetimeSlider.value();
+		}
+	}
+
+	let wasRendering = currentDrawer.rendering === true;
+
+	if (turntablePreview.active) {
+		// The drawers wait (and the layers keep their artwork) while the record spins
+		turntablePreview.draw(deltaTime);
+	} else {
+		// Every layer's drawer adds its strokes (clipped to the vinyl) to its own buffer,
+		// then the background, the live image wedge and the visible layers are flattened onto the canvas
+		layerStack.drawLayers();
+		imageWedge.update();
+		layerStack.refresh();
+	}
+
+	// Pointer moves only draw on a mouse layer outside the preview; drop them otherwise
+	if (!(currentDrawer instanceof MouseDrawer) || turntablePreview.active) {
+		pointerInput.takeSegments();
+	}
+
+	// Show render progress while an audio track is drawn offline
+	if (wasRendering) {
+		audioStatusSpan.html(
+			currentDrawer.rendering
+				? "Rendering " + nf(currentDrawer.getRenderProgress() * 100, 0, 0) + "%"
+				: "Render finished"
+		);
+	}
 
-	currentDrawer.draw();
+	// Capture the finished frame if a recording is running
+	if (canvasRecorder.recording) {
+		// A spinning preview is always recorded, so it can be saved as a video
+		canvasRecorder.captureFrame(
+			!turntablePreview.active && autoPaused && !(currentDrawer instanceof MouseDrawer)
+		);
+		recordStatusSpan.html(
+			canvasRecorder.frameCount +
+				" frames" +
+				(canvasRecorder.paused ? " (paused)" : "")
+		);
+		// A PNG recording stops by itself once it holds as many frames as it may
+		if (canvasRecorder.isFull()) toggleRecording();
+	}
 
-	// --- End of clipped drawing ---
-	drawingContext.restore(); // Restore the drawing state (remove clip)
+	if (remoteControl) remoteControl.update(getRemoteState());
 }
 
 // --- Button and Key-press Helper Functions ---
 
-// Switch to mouse drawer
+// Switch the active layer to the mouse drawer
 function setMouseDrawer() {
-	currentDrawer = mouseDrawer;
-	clearCanvas();
+	layerStack.setActiveDrawer(new MouseDrawer());
 }
 
-// Switch to auto drawer
+// Switch the active layer to the auto drawer picked in the drawer selector
 function setAutoDrawer() {
+	startAutoDrawer(createSelectedDrawer);
+}
+
+// Create a new instance of the procedural drawer picked in the selector (or named
+// by `name`) with the current drawer settings, running on `env` (a layer's env)
+function createSelectedDrawer(env = coreEnv, name = drawerSelect.value()) {
+	if (name === "Flow Field") {
+		return new FlowFieldDrawer(
+			{
+				particleCount: particleCountSlider.value(),
+				noiseScale: noiseScaleSlider.value(),
+				noiseSpeed: noiseSpeedSlider.value(),
+				lifetime: lifetimeSlider.value(),
+			},
+			env
+		);
+	}
+	if (name === "Spirograph") {
+		return new SpirographDrawer(
+			{
+				ringTeeth: ringTeethSlider.value(),
+				gearTeeth: gearTeethSlider.value(),
+				penOffset: penOffsetSlider.value(),
+				layerCount: spiroLayersSlider.value(),
+				type: spiroTypeSelect.value(),
+				onClose: spiroOnCloseSelect.value(),
+			},
+			env
+		);
+	}
+	return new SinusoidalDrawer(waveEditor.getDrawerOptions(), env);
+}
+
+// Only show the controls of the drawer picked in the selector
+function updateDrawerControls() {
+	let selected = drawerSelect.value();
+	flowFieldDiv.style("display", selected === "Flow Field" ? "flex" : "none");
+	spirographDiv.style("display", selected === "Spirograph" ? "flex" : "none");
+}
+
+// Only show the settings of the selected symmetry mode
+function updateSymmetryControls() {
+	let mode = symmetryModeSelect.value();
+	mirrorOptionsSpan.style("display", mode === "mirror" ? "inline-flex" : "none");
+	spiralOptionsSpan.style("display", mode === "spiral" ? "inline-flex" : "none");
+	radialOptionsSpan.style("display", mode === "radial" ? "inline-flex" : "none");
+}
+
+// Switch to the audio-reactive drawer for the loaded track
+function setAudioDrawer() {
+	startAutoDrawer(
+		(env) =>
+			new AudioReactiveDrawer(
+				{
+					...waveEditor.getDrawerOptions(),
+					sound: audioTrack,
+				},
+				env
+			)
+	);
+}
+
+// Start a freshly created procedural drawer on the cleared active layer.
+// `createDrawer(env)` gets the env of the active layer (its ring zone, if any).
+function startAutoDrawer(createDrawer) {
+	// Re-seed and rebuild the background so the same seed always
+	// produces the same vinyl color and wave phases.
+	resetVinylBackground();
+
 	// We must re-create the auto-drawer instance when switching
 	// to reset its position and time.
-	autoDrawer = new SinusoidalDrawer();
-	currentDrawer = autoDrawer;
-	clearCanvas();
+	layerStack.setActiveDrawer(createDrawer(layerStack.getActive().env));
+}
+
+// Called by the layer stack when the active layer or its drawer changes
+function setActiveLayer(layer) {
+	currentDrawer = layer.drawer;
+	waveEditor.bindDrawer(currentDrawer);
+	showBrushSettings(layer.brush.getSettings());
+	if (zoneEditor) zoneEditor.render(); // Not created yet during setup
+}
+
+// Apply the brush UI to the active layer's brush
+function applyBrushSettings() {
+	layerStack.getActive().brush.setSettings(getBrushSettings());
+}
+
+// Brush settings from the brush UI
+function getBrushSettings() {
+	return {
+		style: brushStyleSelect.value(),
+		smoothing: brushSmoothingSelect.value(),
+		lag: brushLagSlider.value(),
+		taper: brushTaperSlider.value(),
+		nibAngle: brushNibSlider.value(),
+	};
+}
+
+// Show a layer's brush settings in the brush UI
+function showBrushSettings(settings) {
+	brushStyleSelect.selected(settings.style);
+	brushSmoothingSelect.selected(settings.smoothing);
+	for (let [slider, value] of [
+		[brushLagSlider, settings.lag],
+		[brushTaperSlider, settings.taper],
+		[brushNibSlider, settings.nibAngle],
+	]) {
+		slider.value(value);
+		slider.elt.dispatchEvent(new Event("input")); // Refresh the value label
+	}
+}
+
+// Create "label [slider] value" inside parent and return the slider
+function createLabeledSlider(parent, label, minValue, maxValue, value, step, digits) {
+	let labelSpan = createSpan(label);
+	labelSpan.parent(parent);
+	labelSpan.style("margin-left", "6px");
+
+	let slider = createSlider(minValue, maxValue, value, step);
+	slider.parent(parent);
+	slider.style("margin", "0 10px");
+
+	let valueSpan = createSpan(nf(slider.value(), 0, digits));
+	valueSpan.parent(parent);
+
+	slider.input(() => {
+		valueSpan.html(nf(slider.value(), 0, digits));
+	});
+	return slider;
+}
+
+// Create "label [text input]" inside parent; the vinyl re-renders when it changes
+function createLabeledInput(parent, label, value, inputWidth) {
+	let labelSpan = createSpan(label);
+	labelSpan.parent(parent);
+	labelSpan.style("margin-left", "6px");
+
+	let input = createInput(value);
+	input.parent(parent);
+	input.style("width", inputWidth);
+	input.changed(applyVinylStyle);
+	return input;
+}
+
+// Set the symmetry slider (and its label) from code
+function setSymmetry(value) {
+	symmetrySlider.value(value);
+	symmetryValueSpan.html(symmetrySlider.value());
+	symmetry = symmetrySlider.value();
+	angle = 360 / symmetry;
+}
+
+// Load the audio file picked in the file input
+function loadAudioTrack(file) {
+	if (file.type !== "audio") {
+		audioStatusSpan.html("Not an audio file");
+		return;
+	}
+	if (audioTrack) audioTrack.stop();
+	audioStatusSpan.html("Loading " + file.name + "...");
+	loadSound(
+		file,
+		(sound) => {
+			audioTrack = sound;
+			audioStatusSpan.html(file.name);
+		},
+		() => audioStatusSpan.html("Could not decode " + file.name)
+	);
+}
+
+// Play (or resume) the track, drawing it with the audio drawer
+function playAudioTrack() {
+	if (!audioTrack) return;
+	userStartAudio();
+	// Start a fresh audio drawer unless this track is already being drawn
+	if (
+		!(currentDrawer instanceof AudioReactiveDrawer) ||
+		currentDrawer.sound !== audioTrack ||
+		currentDrawer.rendering
+	) {
+		setAudioDrawer();
+	}
+	if (!audioTrack.isPlaying()) audioTrack.play();
+}
+
+// Draw the whole track offline onto a fresh canvas
+function renderWholeTrack() {
+	if (!audioTrack) return;
+	audioTrack.stop();
+	setAudioDrawer();
+	currentDrawer.startRender();
+}
+
+// Create a fresh random seed (uses Math.random so it isn't tied to the current seed)
+function newSeed() {
+	return Math.floor(Math.random() * 1000000000);
+}
+
+// Read a numeric query parameter, falling back when it's missing or invalid
+// Clamped to [minValue, maxValue], the range of the slider it sets
+function urlParamNumber(name, fallback, minValue = -Infinity, maxValue = Infinity) {
+	let value = parseFloat(urlParams[name]);
+	return isNaN(value) ? fallback : constrain(value, minValue, maxValue);
+}
+
+// Re-seed the random generators and recreate the vinyl background from the session seed
+function resetVinylBackground() {
+	randomSeed(sessionSeed);
+	noiseSeed(sessionSeed);
+	vinylBackground = new VinylBackground(
+		vinylSlider.value(),
+		undefined,
+		50,
+		getVinylStyle()
+	);
+	drawRadius = vinylBackground.getDrawRadius();
+	vinylDiscDiameter = vinylBackground.getVinylDiscDiameter();
+	layerStack.renderBackground();
+}
+
+// Make a palette the global one and switch every layer's drawer and the background to it
+function applyPalette(hexes) {
+	hexPalette = hexes;
+	if (!vinylBackground) return; // Still in setup; drawers pick up hexPalette when created
+	for (let layer of layerStack.layers) {
+		if (!layer.zone) layer.drawer.setPalette(hexes); // Ring zones keep their own palette
+	}
+	vinylBackground.setPalette(hexes);
+	layerStack.renderBackground();
+}
+
+// Label and detail options for VinylBackground, read from the UI
+function getVinylStyle() {
+	return {
+		details: vinylDetailsCheckbox.checked(),
+		labelSizeRatio: labelSizeSlider.value(),
+		labelColor: labelColorPicker.value(),
+		artist: artistInput.value(),
+		title: titleInput.value(),
+		side: sideInput.value(),
+		clipMode: clipModeSelect.value(),
+	};
+}
+
+// Apply the vinyl UI to the background (the layers on top keep their artwork)
+function applyVinylStyle() {
+	vinylBackground.setStyle(getVinylStyle());
+	layerStack.renderBackground();
+}
+
+// Live stroke weight from the slider, which is given in pixels at the reference
+// resolution, scaled to the current canvas size
+function currentStrokeWeight() {
+	let weight = strokeWeightSlider ? strokeWeightSlider.value() : 1.5;
+	return (weight * canvasSize) / KaleidoscopeCore.REFERENCE_SIZE;
+}
+
+// Scale the canvas display via CSS transform so it fits the window
+// below the controls above it
+function fitCanvasToWindow() {
+	let top = canvasWrapper.elt.getBoundingClientRect().top + window.scrollY;
+	displaySize = max(200, floor(min(windowWidth - 16, windowHeight - top - 8)));
+	canvasScale = canvasSize / displaySize;
+	mainCanvas.style('width', canvasSize + 'px');
+	mainCanvas.style('height', canvasSize + 'px');
+	mainCanvas.style('transform', `scale(${displaySize / canvasSize})`);
+	canvasWrapper.style('width', displaySize + 'px');
+	canvasWrapper.style('height', displaySize + 'px');
+}
+
+// p5 calls this whenever the browser window is resized
+function windowResized() {
+	fitCanvasToWindow();
+}
+
+// Why the browser can't hold the canvas and `layerCount` layer buffers at `size`
+// pixels square, or null if it can. Browsers fail silently past their canvas limits
+// (blank or missing canvases), so a test canvas is drawn into and read back.
+function canvasSizeError(size, layerCount) {
+	// Main canvas, background and layers, 4 bytes per pixel
+	let bytes = size * size * 4 * (layerCount + 2);
+	// navigator.deviceMemory (GB, Chromium only) is rounded down and capped at 8
+	if (navigator.deviceMemory && bytes > (navigator.deviceMemory * 1024 ** 3) / 2) {
+		return `${size}px needs ${round(bytes / 1024 ** 2)} MB for ${layerCount} layers, too much for this device`;
+	}
+	let test = document.createElement("canvas");
+	test.width = size;
+	test.height = size;
+	let ctx = test.getContext("2d");
+	let ok = false;
+	if (ctx) {
+		ctx.fillRect(size - 1, size - 1, 1, 1);
+		ok = ctx.getImageData(size - 1, size - 1, 1, 1).data[3] > 0;
+	}
+	test.width = test.height = 0; // Free it right away
+	return ok ? null : `This browser can't draw a ${size}px canvas`;
+}
+
+// Switch to a new internal resolution and re-render everything at that size
+function applyCanvasSize(size) {
+	if (size === canvasSize) return;
+	let error = canvasSizeError(size, layerStack.layers.length);
+	if (error) {
+		canvasSizeSelect.selected(String(canvasSize));
+		canvasSizeStatusSpan.html(error);
+		return;
+	}
+	canvasSizeStatusSpan.html("");
+	if (turntablePreview.active) togglePreview(); // Its snapshot is at the old size
+	let factor = size / canvasSize;
+	canvasSize = size;
+	resizeCanvas(size, size, true); // No redraw until the layers are resized too
+	fitCanvasToWindow();
+
+	vinylBackground.updateSizes();
+	drawRadius = vinylBackground.getDrawRadius();
+	vinylDiscDiameter = vinylBackground.getVinylDiscDiameter();
+	layerStack.resize(factor);
+	layerStack.composite();
+	updateSaveButton();
+}
+
+// Save the artwork as a PNG at the internal resolution and keep it in the gallery
+function saveImage() {
+	layerStack.composite(); // The artwork itself, even while the spin preview shows
+	save(`kaleidoscope-${canvasSize}x${canvasSize}.png`);
+	galleryView.saveCurrent();
+}
+
+function updateSaveButton() {
+	saveButton.html(`Save (${canvasSize}x${canvasSize})`);
+}
+
+// UI controls saved with a session, by name (the share link's parameter names where it has them)
+function getSessionControls() {
+	return {
+		symmetry: symmetrySlider,
+		symMode: symmetryModeSelect,
+		axis: mirrorAxisSlider,
+		spiralScale: spiralScaleSlider,
+		twist: spiralTwistSlider,
+		rings: radialRingsSlider,
+		vinyl: vinylSlider,
+		colorRate: colorRateSlider,
+		colorMode: colorModeSelect,
+		strokeWeight: strokeWeightSlider,
+		drawSpeed: drawSpeedSlider,
+		drawer: drawerSelect,
+		particles: particleCountSlider,
+		noiseScale: noiseScaleSlider,
+		noiseSpeed: noiseSpeedSlider,
+		lifetime: lifetimeSlider,
+		ring: ringTeethSlider,
+		gear: gearTeethSlider,
+		pen: penOffsetSlider,
+		layers: spiroLayersSlider,
+		spiroType: spiroTypeSelect,
+		onClose: spiroOnCloseSelect,
+		labelSize: labelSizeSlider,
+		labelColor: labelColorPicker,
+		clipMode: clipModeSelect,
+		artist: artistInput,
+		title: titleInput,
+		side: sideInput,
+	};
+}
+
+// Sliders draw() reads every frame, which the timeline can animate
+function getAutomatedSliders() {
+	return {
+		symmetry: symmetrySlider,
+		axis: mirrorAxisSlider,
+		spiralScale: spiralScaleSlider,
+		twist: spiralTwistSlider,
+		rings: radialRingsSlider,
+		vinyl: vinylSlider,
+		colorRate: colorRateSlider,
+		strokeWeight: strokeWeightSlider,
+		drawSpeed: drawSpeedSlider,
+		particles: particleCountSlider,
+		noiseScale: noiseScaleSlider,
+		noiseSpeed: noiseSpeedSlider,
+		lifetime: lifetimeSlider,
+		ring: ringTeethSlider,
+		gear: gearTeethSlider,
+		pen: penOffsetSlider,
+		layers: spiroLayersSlider,
+		labelSize: labelSizeSlider,
+	};
+}
+
+function getSessionSettings() {
+	let settings = {};
+	let controls = getSessionControls();
+	for (let name in controls) settings[name] = controls[name].value();
+	settings.details = vinylDetailsCheckbox.checked();
+	return settings;
+}
+
+// Set a slider, select or input from code and run its handlers as if the user had changed it
+function setControlValue(control, value) {
+	control.value(value);
+	control.elt.dispatchEvent(new Event("input"));
+	control.elt.dispatchEvent(new Event("change"));
+}
+
+// Everything needed to reopen the current piece: settings, palettes, waves, seed
+// and each layer's artwork as a PNG Blob. Resolves once the PNGs are encoded.
+function captureSession() {
+	let layers = layerStack.layers;
+	return Promise.all(layers.map((layer) => canvasToBlob(layer.buffer.elt))).then((images) => ({
+		version: 1,
+		canvasSize: canvasSize,
+		seed: sessionSeed,
+		settings: getSessionSettings(),
+		palettes: paletteManager.palettes.map((pal) => ({ name: pal.name, colors: pal.colors.slice() })),
+		activePalette: paletteManager.activeIndex,
+		waves: waveEditor.getDrawerOptions(),
+		layers: layers.map((layer, i) => ({
+			name: layer.name,
+			visible: layer.visible,
+			opacity: layer.opacity,
+			blendMode: layer.blendMode,
+			brush: layer.brush.getSettings(),
+			zone: layer.zone && { ...layer.zone, palette: layer.zone.palette.slice() },
+			image: images[i],
+		})),
+		activeLayer: layerStack.activeIndex,
+	}));
+}
+
+// Reopen a captured session. The layers come back as mouse layers holding their saved
+// artwork, which undo keeps; resolves once every layer's image is drawn.
+function restoreSession(session) {
+	if (turntablePreview.active) togglePreview();
+	layerStack.setLayers(session.layers, session.activeLayer);
+	let layers = layerStack.layers;
+	if (CANVAS_SIZES.includes(session.canvasSize)) {
+		canvasSizeSelect.selected(String(session.canvasSize));
+		applyCanvasSize(session.canvasSize);
+	}
+
+	let controls = getSessionControls();
+	for (let name in controls) {
+		if (session.settings[name] !== undefined) setControlValue(controls[name], session.settings[name]);
+	}
+	vinylDetailsCheckbox.checked(session.settings.details);
+	paletteManager.setPalettes(session.palettes, session.activePalette);
+	waveEditor.setConfigs(session.waves);
+	sessionSeed = session.seed;
+	seedInput.value(String(sessionSeed));
+	resetVinylBackground(); // Also applies the restored vinyl style
+
+	return Promise.all(session.layers.map((saved) => blobToCanvas(saved.image))).then((images) => {
+		images.forEach((image, i) => layers[i].history.setBase(image));
+	});
+}
+
+// Reopen a piece picked in the gallery
+function openSession(session) {
+	restoreSession(session)
+		.then(() => galleryView.setStatus("Opened"))
+		.catch((err) => galleryView.setStatus("Could not open: " + err.message));
+}
+
+// Cheap summary of what captureSession() saves, so unchanged sessions aren't saved again
+function sessionSignature() {
+	return JSON.stringify([
+		getSessionSettings(),
+		sessionSeed,
+		canvasSize,
+		paletteManager.palettes,
+		paletteManager.activeIndex,
+		waveEditor.configs,
+		layerStack.activeIndex,
+		layerStack.layers.map((layer) => [
+			layer.name,
+			layer.visible,
+			layer.opacity,
+			layer.blendMode,
+			layer.brush.getSettings(),
+			layer.zone,
+			layer.history.changes,
+		]),
+	]);
+}
+
+// Restore the autosaved session (when `restore` is set), then keep autosaving.
+// Without IndexedDB (e.g. some private windows) autosave stays off.
+function startAutosave(restore) {
+	galleryStore
+		.open()
+		.then(() => {
+			if (!restore) return;
+			return galleryStore
+				.getAutosave()
+				.then((session) => session && restoreSession(session))
+				.catch((err) =>
+					galleryView.setStatus("Could not restore the last session: " + err.message)
+				);
+		})
+		.then(() => {
+			lastAutosave = sessionSignature();
+			setInterval(autosaveSession, AUTOSAVE_INTERVAL);
+		})
+		.catch((err) => galleryView.setStatus("Autosave is off: " + err.message));
+}
+
+// Save the current session to IndexedDB once it changed since the last autosave and then
+// stayed the same for a whole interval. Capturing encodes every full-size layer as PNG,
+// so a running auto drawer (which changes the session every frame) is waited out.
+function autosaveSession() {
+	let signature = sessionSignature();
+	if (autosaving || signature === lastAutosave) return;
+	if (signature !== pendingAutosave) {
+		pendingAutosave = signature;
+		return;
+	}
+	autosaving = true;
+	captureSession()
+		.then((session) => galleryStore.putAutosave(session))
+		.then(() => {
+			lastAutosave = signature;
+		})
+		.catch((err) => galleryView.setStatus("Autosave failed: " + err.message))
+		.then(() => {
+			autosaving = false;
+		});
+}
+
+// PNG thumbnail of the flattened artwork, `size` pixels square
+function createThumbnail(size) {
+	let canvas = document.createElement("canvas");
+	canvas.width = size;
+	canvas.height = size;
+	layerStack.compositeTo(canvas.getContext("2d"), size);
+	return canvasToBlob(canvas);
+}
+
+function canvasToBlob(canvas) {
+	return new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+}
+
+// Decode a PNG Blob into a canvas
+function blobToCanvas(blob) {
+	return createImageBitmap(blob).then((bitmap) => {
+		let canvas = document.createElement("canvas");
+		canvas.width = bitmap.width;
+		canvas.height = bitmap.height;
+		canvas.getContext("2d").drawImage(bitmap, 0, 0);
+		bitmap.close();
+		return canvas;
+	});
+}
+
+// Use a new session seed and restart the auto drawer with it
+function applySeed(seed) {
+	sessionSeed = seed;
+	seedInput.value(String(seed));
+	setAutoDrawer();
+}
+
+// Build a URL that reproduces the current seed and slider settings
+function getShareLink() {
+	let params = new URLSearchParams({
+		seed: sessionSeed,
+		symmetry: symmetrySlider.value(),
+		symMode: symmetryModeSelect.value(),
+		vinyl: vinylSlider.value(),
+		size: canvasSize,
+		colorRate: colorRateSlider.value(),
+		colorMode: colorMappingMode,
+		strokeWeight: strokeWeightSlider.value(),
+		drawSpeed: drawSpeedSlider.value(),
+		drawer: drawerSelect.value(),
+		palette: hexPalette.map((c) => c.replace("#", "")).join(","),
+	});
+	if (symmetryModeSelect.value() === "mirror") {
+		params.set("axis", mirrorAxisSlider.value());
+	}
+	if (symmetryModeSelect.value() === "spiral") {
+		params.set("spiralScale", spiralScaleSlider.value());
+		params.set("twist", spiralTwistSlider.value());
+	}
+	if (symmetryModeSelect.value() === "radial") {
+		params.set("rings", radialRingsSlider.value());
+	}
+	if (drawerSelect.value() === "Flow Field") {
+		params.set("particles", particleCountSlider.value());
+		params.set("noiseScale", noiseScaleSlider.value());
+		params.set("noiseSpeed", noiseSpeedSlider.value());
+		params.set("lifetime", lifetimeSlider.value());
+	}
+	if (drawerSelect.value() === "Spirograph") {
+		params.set("ring", ringTeethSlider.value());
+		params.set("gear", gearTeethSlider.value());
+		params.set("pen", penOffsetSlider.value());
+		params.set("layers", spiroLayersSlider.value());
+		params.set("spiroType", spiroTypeSelect.value());
+		params.set("onClose", spiroOnCloseSelect.value());
+	}
+	return (
+		window.location.origin + window.location.pathname + "?" + params.toString()
+	);
+}
+
+// Put the share link in the address bar and on the clipboard
+function copyShareLink() {
+	let link = getShareLink();
+	window.history.replaceState(null, "", link);
+	if (navigator.clipboard) {
+		navigator.clipboard.writeText(link).catch(() => {});
+	}
+}
+
+// Start or stop recording the canvas with the chosen settings
+function toggleRecording() {
+	if (canvasRecorder.recording) {
+		let full = canvasRecorder.isFull();
+		recordButton.html("Start Recording");
+		recordStatusSpan.html("Saving " + canvasRecorder.frameCount + " frames…");
+		canvasRecorder
+			.stop()
+			.then((count) => {
+				let note = full ? " (frame limit reached)" : "";
+				recordStatusSpan.html("Saved " + count + " frames" + note);
+			})
+			.catch((err) => recordStatusSpan.html("Recording failed: " + err.message));
+	} else {
+		canvasRecorder.start({
+			format: recordFormatSelect.value(),
+			size: parseInt(recordSizeSelect.value()),
+			fps: parseInt(recordFpsSelect.value()),
+		});
+		recordButton.html("Stop Recording");
+	}
+}
+
+// Download a Blob as a file
+function downloadBlob(blob, filename) {
+	let url = URL.createObjectURL(blob);
+	let link = createA(url, "");
+	link.attribute("download", filename);
+	link.elt.click();
+	link.remove();
+	// Give the browser a moment to start the download before revoking
+	setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Everything a remote controller shows: each control's value and range, plus what's drawing
+function getRemoteState() {
+	let controls = {};
+	for (let name in remoteControl.controls) {
+		let slider = remoteControl.controls[name];
+		controls[name] = {
+			value: slider.value(),
+			min: parseFloat(slider.elt.min),
+			max: parseFloat(slider.elt.max),
+			step: parseFloat(slider.elt.step),
+		};
+	}
+	return {
+		controls: controls,
+		autoPaused: autoPaused,
+		drawer: currentDrawer.constructor.name,
+		seed: sessionSeed,
+	};
 }
 
 // Toggle pause/play for the auto drawer
@@ -630,15 +6448,87 @@ function toggleAutoPause() {
 	autoPauseButton.html(autoPaused ? "Play Auto" : "Pause Auto");
 }
 
-// Clear the canvas and draw the "vinyl record" background
+// Clear the active layer (the background and other layers stay)
 function clearCanvas() {
-	// Use the vinyl background singleton to draw
-	vinylBackground.draw();
+	// A cleared layer also starts a fresh history
+	layerStack.getActive().clear();
+}
+
+// Write the artwork as an SVG file for vector printing
+function exportSVG() {
+	let exporter = new SvgExporter(layerStack.layers, vinylBackground);
+	saveStrings(exporter.build(), "kaleidoscope", "svg");
+}
+
+// Draw an explored genome full size: its waves, symmetry, palette and seed become the current settings
+function useExploredGenome(genome) {
+	setSymmetry(genome.symmetry);
+	let key = genome.palette.join(",");
+	let index = paletteManager.palettes.findIndex((p) => p.colors.join(",") === key);
+	if (index >= 0) paletteManager.setActive(index);
+	else paletteManager.addPalette("Explored " + genome.seed, genome.palette.slice());
+	waveEditor.setConfigs(genome);
+	drawerSelect.selected("Sinusoidal");
+	updateDrawerControls();
+	applySeed(genome.seed);
+}
+
+// Start spinning the finished design, or stop and go back to drawing where it left off
+function togglePreview() {
+	if (turntablePreview.active) {
+		turntablePreview.stop();
+		layerStack.composite(); // Put the unrotated artwork back
+		previewButton.html("Start Preview");
+	} else {
+		layerStack.composite();
+		turntablePreview.start(vinylBackground.getDrawRadius());
+		previewButton.html("Stop Preview");
+	}
+}
+
+// Export the artwork laid out for the selected print preset
+function exportPrint() {
+	layerStack.composite(); // The artwork itself, even while the spin preview shows
+	let exporter = new PrintExporter(drawingContext.canvas, vinylBackground);
+	printStatusSpan.html("Exporting…");
+	exporter
+		.export(printPresetSelect.value())
+		.then((name) => printStatusSpan.html("Saved " + name))
+		.catch((err) => printStatusSpan.html("Print export failed: " + err.message));
+}
+
+// Undo the last mouse gesture or chunk of auto-draw time on the active layer.
+// A running auto drawer is paused first, or its next frame would clear the redo steps.
+function undoStroke() {
+	let layer = layerStack.getActive();
+	if (layer.drawer instanceof ProceduralDrawer && !autoPaused && layer.history.canUndo()) {
+		toggleAutoPause();
+	}
+	layer.history.undo();
+}
+
+// Redo the last undone step on the active layer
+function redoStroke() {
+	layerStack.getActive().history.redo();
 }
 
-// Keep the 'c' key as a shortcut to clear
-function keyPressed() {
+// Keyboard shortcuts: 'c' clears, Ctrl+Z undoes, Ctrl+Shift+Z redoes
+function keyPressed(event) {
+	// Don't treat typing in text fields (e.g. the seed input) as shortcuts
+	let focused = document.activeElement;
+	if (focused && focused.tagName === "TEXTAREA") return;
+	if (focused && focused.tagName === "INPUT" && focused.type !== "range") return;
+
+	if ((event.ctrlKey || event.metaKey) && (key === "z" || key === "Z")) {
+		if (event.shiftKey) {
+			redoStroke();
+		} else {
+			undoStroke();
+		}
+		return false; // Prevent the browser's own undo
+	}
+
 	if (key === "c" || key === "C") {
-		clearCanvas(); // Use the new function
+		clearCanvas(); // Clears the active layer
 	}
 }
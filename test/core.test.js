@@ -0,0 +1,168 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const KaleidoscopeCore = require("../core.js");
+
+// Segment from (x1, y1) back to (x2, y2), as the drawers emit them
+function seg(x1, y1, x2, y2, color = [0, 0, 0, 255], weight = 2) {
+	return { x1, y1, x2, y2, color, weight };
+}
+
+test("createRandom() follows p5's randomSeed() and noiseSeed()", () => {
+	// Recorded from p5 1.10 after randomSeed(42) and noiseSeed(42)
+	let { random, noise } = KaleidoscopeCore.createRandom(42);
+	assert.deepEqual(
+		[random(), random(), random(), random(10, 20), random(5)],
+		[0.2523451747838408, 0.08812504541128874, 0.5772811982315034, 12.22554265987128, 1.8783009855542332]
+	);
+	assert.deepEqual(
+		[noise(0.5), noise(1.3, 2.7), noise(10.1, 0.2, 3.3), noise(123.456, 7.89)],
+		[0.2027877284999704, 0.4633868628673169, 0.3866760574640588, 0.5799827938217362]
+	);
+});
+
+test("createRandom() picks from arrays and swaps reversed bounds", () => {
+	let a = KaleidoscopeCore.createRandom(7);
+	let b = KaleidoscopeCore.createRandom(7);
+	let items = ["a", "b", "c"];
+	for (let i = 0; i < 20; i++) assert.ok(items.includes(a.random(items)));
+	for (let i = 0; i < 20; i++) b.random();
+	let value = a.random(5, 2);
+	assert.equal(value, b.random(2, 5));
+	assert.ok(value >= 2 && value < 5);
+});
+
+test("symmetryTransforms() gives one copy per symmetry segment", () => {
+	let spec = (mode, extra = {}) =>
+		KaleidoscopeCore.symmetrySpec(KaleidoscopeCore.resolveConfig({ symmetryMode: mode, symmetry: 6, ...extra }));
+	let det = ([a, b, c, d]) => a * d - b * c;
+
+	let dihedral = spec("dihedral").transforms;
+	assert.equal(dihedral.length, 12);
+	dihedral.forEach((t, i) => assert.ok(Math.abs(det(t) - (i % 2 === 0 ? 1 : -1)) < 1e-9));
+
+	let rotation = spec("rotation").transforms;
+	assert.equal(rotation.length, 6);
+	// The last copy is the full turn
+	rotation[5].forEach((v, i) => assert.ok(Math.abs(v - [1, 0, 0, 1][i]) < 1e-9));
+
+	let mirror = spec("mirror", { mirrorAxis: 90 }).transforms;
+	assert.equal(mirror.length, 2);
+	let [a, b, c, d] = mirror[1];
+	// Across the vertical axis: (x, y) -> (-x, y)
+	[a, b, c, d].forEach((v, i) => assert.ok(Math.abs(v - [-1, 0, 0, 1][i]) < 1e-9));
+
+	let spiral = spec("spiral", { spiralScale: 0.5 }).transforms;
+	assert.ok(Math.abs(det(spiral[2]) - 0.0625) < 1e-9);
+
+	let radial = spec("radial", { radialRings: 3 }).transforms;
+	assert.equal(radial.length, 18);
+	assert.ok(Math.abs(det(radial[17]) - 1 / 9) < 1e-9);
+});
+
+test("buildRuns() joins connected segments of one style", () => {
+	let style = (s) => (s.color ? s.color.join(",") : null);
+	let red = [255, 0, 0, 255];
+	let runs = KaleidoscopeCore.buildRuns(
+		[
+			seg(1, 0, 0, 0),
+			seg(2, 1, 1, 0),
+			seg(3, 1, 2, 1, red), // Another color
+			seg(9, 9, 5, 5, red), // Not connected
+			{ x1: 9, y1: 9, x2: 9, y2: 9, color: null }, // Always stands alone
+		],
+		style
+	);
+	assert.deepEqual(
+		runs.map((run) => run.points),
+		[
+			[
+				{ x: 0, y: 0 },
+				{ x: 1, y: 0 },
+				{ x: 2, y: 1 },
+			],
+			[
+				{ x: 2, y: 1 },
+				{ x: 3, y: 1 },
+			],
+			[
+				{ x: 5, y: 5 },
+				{ x: 9, y: 9 },
+			],
+			[
+				{ x: 9, y: 9 },
+				{ x: 9, y: 9 },
+			],
+		]
+	);
+	assert.equal(runs[3].key, null);
+});
+
+test("RunMerger hands over each run once, on a break or flush()", () => {
+	let runs = [];
+	let merger = new KaleidoscopeCore.RunMerger(() => "same", (run) => runs.push(run));
+	merger.add(seg(1, 0, 0, 0));
+	merger.add(seg(2, 0, 1, 0));
+	assert.equal(runs.length, 0);
+	merger.add(seg(5, 5, 4, 4));
+	assert.equal(runs.length, 1);
+	merger.flush();
+	merger.flush();
+	assert.equal(runs.length, 2);
+	assert.equal(runs[0].segment.x1, 1);
+});
+
+test("SvgRenderer writes runs as relative polylines, one path per look", () => {
+	let lines = [];
+	let renderer = new KaleidoscopeCore.SvgRenderer();
+	let identity = [[1, 0, 0, 1]];
+	renderer.startStrokes(lines, 100);
+	renderer.addSegment(seg(1, 0, 0, 0), identity);
+	renderer.addSegment(seg(1.5, 0.25, 1, 0), identity);
+	renderer.addSegment(seg(10, 10, 9, 9), identity); // Same look: same <path>
+	renderer.flushStrokes();
+	assert.deepEqual(lines, ['<path d="M100 100l1 0l0.5 0.25M109 109l1 1" stroke="#000000" stroke-width="2"/>']);
+
+	lines.length = 0;
+	let half = [0, 0, 0, 128];
+	renderer.addSegment(seg(1, 0, 0, 0, half), identity);
+	renderer.addSegment(seg(5, 5, 4, 4, half), identity); // Translucent: own <path>
+	renderer.addSegment(seg(1, 0, 0, 0), [
+		[1, 0, 0, 1],
+		[-1, 0, 0, 1],
+	]);
+	renderer.flushStrokes();
+	assert.deepEqual(lines, [
+		'<path d="M100 100l1 0" stroke="#000000" stroke-opacity="0.502" stroke-width="2"/>',
+		'<path d="M104 104l1 1" stroke="#000000" stroke-opacity="0.502" stroke-width="2"/>',
+		'<path d="M100 100l1 0M100 100l-1 0" stroke="#000000" stroke-width="2"/>',
+	]);
+});
+
+test("generate() gives the same design for the same seed", () => {
+	let config = { seed: 5, frames: 40, size: 400 };
+	let svg = KaleidoscopeCore.generate(config, new KaleidoscopeCore.SvgRenderer());
+	assert.equal(svg, KaleidoscopeCore.generate(config, new KaleidoscopeCore.SvgRenderer()));
+	assert.notEqual(svg, KaleidoscopeCore.generate({ ...config, seed: 6 }, new KaleidoscopeCore.SvgRenderer()));
+	assert.match(svg, /^<svg [^\n]*width="400"/);
+	assert.match(svg, /<\/svg>$/);
+
+	let renderer = new KaleidoscopeCore.SvgRenderer();
+	KaleidoscopeCore.generate(config, renderer);
+	let design = KaleidoscopeCore.generate(config, new KaleidoscopeCore.SegmentRecorder());
+	assert.equal(design.segments.length, renderer.count);
+	assert.equal(design.config.drawRadius, 170);
+});
+
+test("generate() runs every drawer and rejects unknown ones", () => {
+	for (let drawer in KaleidoscopeCore.PATTERNS) {
+		let design = KaleidoscopeCore.generate(
+			{ drawer: drawer, seed: 1, frames: 20, size: 400 },
+			new KaleidoscopeCore.SegmentRecorder()
+		);
+		assert.ok(design.segments.length > 0, drawer);
+	}
+	assert.throws(
+		() => KaleidoscopeCore.generate({ drawer: "nope" }, new KaleidoscopeCore.SegmentRecorder()),
+		/Unknown drawer "nope"/
+	);
+});
@@ -0,0 +1,180 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("node:events");
+const http = require("node:http");
+const path = require("node:path");
+const { WebSocketClient, isOwnOrigin, isPublic, serveFile, upgrade } = require("../relay.js");
+
+// Stand-in for a net.Socket that records what the relay writes
+class FakeSocket extends EventEmitter {
+	constructor() {
+		super();
+		this.written = [];
+		this.ended = null;
+		this.destroyed = false;
+	}
+
+	write(data) {
+		this.written.push(Buffer.from(data));
+	}
+
+	end(data) {
+		this.ended = data === undefined ? "" : String(data);
+	}
+
+	destroy() {
+		this.destroyed = true;
+	}
+
+	setNoDelay() {}
+}
+
+// A masked client frame, as a browser sends it
+function clientFrame(text, { opcode = 0x1, fin = true, masked = true } = {}) {
+	let payload = Buffer.from(text, "utf8");
+	let mask = Buffer.from([1, 2, 3, 4]);
+	let header;
+	if (payload.length < 126) {
+		header = Buffer.from([(fin ? 0x80 : 0) | opcode, (masked ? 0x80 : 0) | payload.length]);
+	} else {
+		header = Buffer.alloc(4);
+		header[0] = (fin ? 0x80 : 0) | opcode;
+		header[1] = (masked ? 0x80 : 0) | 126;
+		header.writeUInt16BE(payload.length, 2);
+	}
+	if (!masked) return Buffer.concat([header, payload]);
+	let body = Buffer.from(payload.map((byte, i) => byte ^ mask[i % 4]));
+	return Buffer.concat([header, mask, body]);
+}
+
+function upgradeRequest(headers) {
+	return {
+		headers: {
+			host: "192.168.1.5:8080",
+			upgrade: "websocket",
+			"sec-websocket-key": "dGhlIHNhbXBsZSBub25jZQ==",
+			origin: "http://192.168.1.5:8080",
+			...headers,
+		},
+	};
+}
+
+test("WebSocketClient joins frames split across chunks and fragments", () => {
+	let socket = new FakeSocket();
+	let messages = [];
+	new WebSocketClient(socket, (text) => messages.push(text), () => {});
+
+	let frame = clientFrame('{"type":"subscribe"}');
+	socket.emit("data", frame.subarray(0, 5));
+	assert.deepEqual(messages, []);
+	socket.emit("data", frame.subarray(5));
+	assert.deepEqual(messages, ['{"type":"subscribe"}']);
+
+	socket.emit("data", Buffer.concat([clientFrame("hel", { fin: false }), clientFrame("lo", { opcode: 0x0 })]));
+	let long = "x".repeat(300);
+	socket.emit("data", clientFrame(long));
+	assert.deepEqual(messages.slice(1), ["hello", long]);
+	assert.equal(socket.destroyed, false);
+});
+
+test("WebSocketClient answers pings and drops unmasked or oversized frames", () => {
+	let socket = new FakeSocket();
+	new WebSocketClient(socket, () => {}, () => {});
+	socket.emit("data", clientFrame("hi", { opcode: 0x9 }));
+	assert.deepEqual(socket.written, [Buffer.from([0x8a, 2, 0x68, 0x69])]);
+
+	socket.emit("data", clientFrame("hi", { masked: false }));
+	assert.equal(socket.destroyed, true);
+
+	let huge = new FakeSocket();
+	new WebSocketClient(huge, () => {}, () => {});
+	let header = Buffer.alloc(10);
+	header[0] = 0x81;
+	header[1] = 0x80 | 127;
+	header.writeBigUInt64BE(BigInt(2 * 1024 * 1024), 2);
+	huge.emit("data", header);
+	assert.equal(huge.destroyed, true);
+});
+
+test("WebSocketClient reports its close once", () => {
+	let socket = new FakeSocket();
+	let closes = 0;
+	new WebSocketClient(socket, () => {}, () => closes++);
+	socket.emit("close");
+	socket.emit("close");
+	assert.equal(closes, 1);
+});
+
+test("isOwnOrigin() only accepts pages from the relay's own host and port", () => {
+	let req = (origin, host = "192.168.1.5:8080") => ({ headers: { origin, host } });
+	assert.equal(isOwnOrigin(req("http://192.168.1.5:8080")), true);
+	assert.equal(isOwnOrigin(req("http://192.168.1.5:9000")), false);
+	assert.equal(isOwnOrigin(req("https://example.com")), false);
+	assert.equal(isOwnOrigin(req(undefined)), false);
+	assert.equal(isOwnOrigin(req("not a url")), false);
+	assert.equal(isOwnOrigin({ headers: { origin: "http://192.168.1.5:8080" } }), false);
+});
+
+test("isPublic() allows only the sketch's files", () => {
+	assert.equal(isPublic("index.html"), true);
+	assert.equal(isPublic("core.js"), true);
+	assert.equal(isPublic(path.join("libraries", "p5.min.js")), true);
+	assert.equal(isPublic("relay.js"), false);
+	assert.equal(isPublic("requests.jsonl"), false);
+	assert.equal(isPublic(path.join(".git", "config")), false);
+	assert.equal(isPublic(path.join("libraries", "..", "cli.js")), false);
+	assert.equal(isPublic(path.join("..", "index.html")), false);
+});
+
+test("upgrade() turns away bad and foreign handshakes without crashing on a reset", () => {
+	let clients = new Set();
+
+	let bad = new FakeSocket();
+	upgrade(upgradeRequest({ "sec-websocket-key": undefined }), bad, clients);
+	assert.match(bad.ended, /^HTTP\/1\.1 400/);
+
+	let foreign = new FakeSocket();
+	upgrade(upgradeRequest({ origin: "http://evil.example" }), foreign, clients);
+	assert.match(foreign.ended, /^HTTP\/1\.1 403/);
+	foreign.emit("error", new Error("ECONNRESET"));
+	assert.equal(foreign.destroyed, true);
+	assert.equal(clients.size, 0);
+});
+
+test("upgrade() accepts the relay's own pages and relays their messages", (t) => {
+	t.mock.method(console, "log", () => {});
+	let clients = new Set();
+	let phone = new FakeSocket();
+	let sketch = new FakeSocket();
+	upgrade(upgradeRequest(), phone, clients);
+	upgrade(upgradeRequest(), sketch, clients);
+	assert.equal(clients.size, 2);
+	// The accept key from RFC 6455's example handshake
+	assert.match(phone.written[0].toString(), /Sec-WebSocket-Accept: s3pPLMBiTxaQ9kYGzzhZRbK\+xOo=/);
+
+	phone.emit("data", clientFrame('{"type":"action","action":"clear"}'));
+	let relayed = sketch.written[1];
+	assert.equal(relayed[0], 0x81);
+	assert.equal(relayed.subarray(2).toString(), '{"type":"action","action":"clear"}');
+	assert.equal(phone.written.length, 1); // Not echoed back
+
+	phone.emit("close");
+	assert.equal(clients.size, 1);
+});
+
+test("serveFile() serves the sketch and hides everything else", async (t) => {
+	let server = http.createServer(serveFile);
+	await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+	t.after(() => server.close());
+	let base = `http://127.0.0.1:${server.address().port}`;
+	let status = (url) => fetch(base + url).then((res) => res.status);
+
+	let page = await fetch(base + "/");
+	assert.equal(page.status, 200);
+	assert.match(page.headers.get("content-type"), /^text\/html/);
+	assert.equal(await status("/core.js"), 200);
+	assert.equal(await status("/relay.js"), 404);
+	assert.equal(await status("/.git/config"), 404);
+	assert.equal(await status("/libraries/%2e%2e/cli.js"), 404);
+	assert.equal(await status("/%E0%A4%A"), 404);
+});